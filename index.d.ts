@@ -0,0 +1,521 @@
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+
+export = LineLogin;
+
+/**
+SDK to use LINE Login. Request and response are typed loosely so that this package does not depend on type definitions of each framework.
+*/
+declare class LineLogin extends EventEmitter {
+    constructor(options: LineLogin.Options);
+
+    static from_env(options?: Partial<LineLogin.Options>, env?: { [name: string]: string | undefined }): LineLogin;
+
+    channel_id: string;
+    channel_secret: string;
+    callback_url: string;
+    scope: string;
+    prompt?: string;
+    bot_prompt: string;
+    pkce: boolean;
+    state_ttl: number;
+    state_binding: boolean;
+    store: LineLogin.Store;
+    transport: LineLogin.HttpTransport;
+    core: LineLogin.Core;
+
+    auth(options?: LineLogin.AuthOptions): LineLogin.Middleware;
+    callback(s: LineLogin.SuccessCallback, f?: LineLogin.FailureCallback): LineLogin.Middleware;
+    handle_callback(req: any, res?: any): Promise<LineLogin.CallbackResult>;
+    require_login(options?: LineLogin.RequireLoginOptions): LineLogin.Middleware;
+    current_user(): LineLogin.Middleware;
+    logout(options?: LineLogin.LogoutOptions): LineLogin.Middleware;
+    liff_login(s: LineLogin.SuccessCallback, f?: LineLogin.FailureCallback, options?: LineLogin.LiffOptions): LineLogin.Middleware;
+    authenticate_bearer(options?: LineLogin.BearerAuthenticatorOptions): LineLogin.Middleware;
+
+    make_auth_url(state: string, nonce?: string, options?: LineLogin.AuthUrlOptions): string;
+    issue_access_token(code: string, code_verifier?: string): Promise<LineLogin.TokenResponse>;
+    verify_access_token(access_token: string): Promise<LineLogin.AccessTokenVerification>;
+    verify_id_token(id_token: string, options?: LineLogin.VerifyIdTokenOptions): Promise<LineLogin.IdTokenClaims>;
+    refresh_access_token(refresh_token: string): Promise<LineLogin.TokenResponse>;
+    revoke_access_token(access_token: string): Promise<null>;
+    get_user_profile(access_token: string): Promise<LineLogin.Profile>;
+    get_friendship_status(access_token: string): Promise<LineLogin.FriendshipStatus>;
+    get_user(token_response: LineLogin.TokenResponse): Promise<LineLogin.User>;
+    create_token_manager(token_response: LineLogin.TokenResponse, options?: LineLogin.TokenManagerOptions): LineLogin.TokenManager;
+
+    on<E extends keyof LineLogin.Events>(event: E, listener: (payload: LineLogin.Events[E]) => void): this;
+    once<E extends keyof LineLogin.Events>(event: E, listener: (payload: LineLogin.Events[E]) => void): this;
+}
+
+declare namespace LineLogin {
+    type Scope = "profile" | "openid" | "email";
+    type Middleware = (req: any, res: any, next: (error?: any) => void) => Promise<void> | void;
+    type SuccessCallback = (req: any, res: any, next: (error?: any) => void, token_response: TokenResponse, result: CallbackResult) => void;
+    type FailureCallback = (req: any, res: any, next: (error?: any) => void, error: Error) => void;
+
+    interface Options {
+        channel_id: string;
+        channel_secret: string;
+        callback_url: string;
+        /** Space separated scopes. Default is "profile openid". */
+        scope?: string;
+        prompt?: "consent" | "none";
+        bot_prompt?: "normal" | "aggressive";
+        /** Deprecated. Not used. */
+        session_options?: object;
+        verify_id_token?: boolean;
+        clock_tolerance?: number;
+        max_auth_age?: number;
+        pkce?: boolean;
+        state_ttl?: number;
+        state_binding?: boolean;
+        store?: Store;
+        jwks_fetcher?: () => Promise<{ keys: object[] }>;
+        transport?: HttpTransport;
+        allowed_return_to?: string[];
+        build_user?: boolean;
+        fetch_profile?: boolean;
+        login_session?: boolean;
+        fetch_friendship_status?: boolean;
+        on_friend_added?: FriendshipHook;
+        on_not_friend?: FriendshipHook;
+        endpoint?: string;
+    }
+
+    /** Return false to tell that the hook responded by itself so success callback is not called. */
+    type FriendshipHook = (result: CallbackResult, req: any, res: any) => void | boolean | Promise<void | boolean>;
+
+    interface AuthUrlOptions {
+        scope?: string;
+        prompt?: "consent" | "none";
+        bot_prompt?: "normal" | "aggressive";
+        ui_locales?: string;
+        max_age?: number;
+        initial_amr_display?: "lineqr";
+        disable_auto_login?: boolean;
+        code_challenge?: string;
+    }
+
+    interface AuthOptions extends AuthUrlOptions {
+        return_to?: string;
+    }
+
+    interface RequireLoginOptions extends AuthOptions {
+        login_path?: string;
+    }
+
+    interface LogoutOptions {
+        redirect?: string;
+        destroy_session?: boolean;
+    }
+
+    interface LiffOptions {
+        channel_id?: string;
+        nonce?: (req: any) => string | undefined | Promise<string | undefined>;
+    }
+
+    interface VerifyIdTokenOptions {
+        nonce?: string;
+        user_id?: string;
+        client_id?: string;
+    }
+
+    interface TokenResponse {
+        access_token: string;
+        token_type?: "Bearer";
+        refresh_token?: string;
+        expires_in?: number;
+        scope?: string;
+        /** Decoded claims if id token is verified in callback. Otherwise JWT string. */
+        id_token?: string | IdTokenClaims;
+    }
+
+    interface IdTokenClaims {
+        iss: string;
+        sub: string;
+        aud: string;
+        exp: number;
+        iat: number;
+        auth_time?: number;
+        nonce?: string;
+        amr?: string[];
+        name?: string;
+        picture?: string;
+        email?: string;
+        [claim: string]: any;
+    }
+
+    interface AccessTokenVerification {
+        scope: string;
+        client_id: string;
+        expires_in: number;
+    }
+
+    interface Profile {
+        userId: string;
+        displayName: string;
+        pictureUrl?: string;
+        statusMessage?: string;
+    }
+
+    interface FriendshipStatus {
+        friendFlag: boolean;
+    }
+
+    interface CallbackResult {
+        channel_id: string;
+        token_response: TokenResponse;
+        return_to?: string;
+        friendship_status_changed?: boolean;
+        friend_flag?: boolean;
+        /** Checks which ran in verifying id token. e.g. ["signature", "expiration", "audience", "issuer", "issued_at", "amr", "nonce"] */
+        id_token_checks?: IdTokenCheck[];
+        user?: User;
+        /** Set by ChannelRegistry. */
+        channel?: string;
+        handled?: boolean;
+    }
+
+    type IdTokenCheck = "signature" | "expiration" | "audience" | "issuer" | "issued_at" | "amr" | "nonce" | "auth_time";
+
+    /** Consumed login attempt has channel_id, issued_at and consumed_at only. */
+    interface LoginAttempt {
+        channel_id?: string;
+        nonce?: string;
+        issued_at?: number;
+        consumed_at?: number;
+        binding?: string;
+        max_age?: number;
+        code_verifier?: string;
+        return_to?: string;
+    }
+
+    interface Store {
+        get(req: any, key: string): Promise<LoginAttempt | undefined>;
+        set(req: any, res: any, key: string, value: LoginAttempt): Promise<void>;
+        delete(req: any, res: any, key: string): Promise<void>;
+    }
+
+    interface HttpRequestOptions {
+        method: string;
+        url: string;
+        headers?: { [name: string]: string };
+        form?: { [name: string]: string };
+        /** Default is true for GET and HEAD and false for others. */
+        retry?: boolean;
+    }
+
+    interface HttpResponse {
+        statusCode: number;
+        statusMessage?: string;
+        headers: { [name: string]: string | string[] | undefined };
+        body: string;
+    }
+
+    interface HttpTransport {
+        request(options: HttpRequestOptions): Promise<HttpResponse>;
+    }
+
+    interface RequestMetadata {
+        method?: string;
+        path?: string;
+        ip?: string;
+        user_agent?: string;
+    }
+
+    interface EventPayload {
+        event: keyof Events;
+        channel_id: string;
+        timestamp: number;
+    }
+
+    interface Events {
+        authorization_started: EventPayload & { request: RequestMetadata; scope: string; pkce: boolean; return_to?: string };
+        callback_received: EventPayload & { request: RequestMetadata; error?: string; friendship_status_changed?: boolean };
+        state_mismatch: EventPayload & { request: RequestMetadata; reason: "missing" | "not_found" | "channel_mismatch" | "reused" | "expired" | "binding_mismatch" };
+        token_issued: EventPayload & { request: RequestMetadata; scope?: string; expires_in?: number; duration_ms: number };
+        id_token_verified: EventPayload & { request: RequestMetadata; user_id: string; amr?: string[]; checks?: IdTokenCheck[]; duration_ms: number };
+        id_token_failed: EventPayload & { request: RequestMetadata; error: string; message: string; check?: IdTokenCheck; duration_ms: number };
+        token_refreshed: EventPayload & { scope?: string; expires_in?: number; duration_ms: number };
+        token_revoked: EventPayload & { duration_ms: number };
+    }
+
+    interface SerializedUser {
+        user_id: string;
+        display_name?: string;
+        picture_url?: string;
+        status_message?: string;
+        email?: string;
+        amr?: string[];
+        authenticated_at?: number;
+    }
+
+    class User implements SerializedUser {
+        constructor(params: SerializedUser);
+        user_id: string;
+        display_name?: string;
+        picture_url?: string;
+        status_message?: string;
+        email?: string;
+        amr?: string[];
+        authenticated_at?: number;
+        static from(claims?: IdTokenClaims | null, line_profile?: Profile | null): User;
+        static deserialize(serialized: SerializedUser | string): User;
+        serialize(): SerializedUser;
+        toJSON(): SerializedUser;
+    }
+
+    class SessionStore implements Store {
+        constructor(options?: { session_key?: string; ttl?: number });
+        get(req: any, key: string): Promise<LoginAttempt | undefined>;
+        set(req: any, res: any, key: string, value: LoginAttempt): Promise<void>;
+        delete(req: any, res: any, key: string): Promise<void>;
+    }
+
+    class CookieStore implements Store {
+        constructor(options: { secret: string; ttl?: number; cookie_prefix?: string; path?: string; secure?: boolean; consumed_store?: Store });
+        get(req: any, key: string): Promise<LoginAttempt | undefined>;
+        set(req: any, res: any, key: string, value: LoginAttempt): Promise<void>;
+        delete(req: any, res: any, key: string): Promise<void>;
+    }
+
+    class MemoryStore implements Store {
+        constructor(options?: { ttl?: number });
+        get(req: any, key: string): Promise<LoginAttempt | undefined>;
+        set(req: any, res: any, key: string, value: LoginAttempt): Promise<void>;
+        delete(req: any, res: any, key: string): Promise<void>;
+    }
+
+    interface TransportOptions {
+        timeout?: number;
+        keep_alive?: boolean;
+        proxy?: string;
+        retries?: number;
+        retry_delay?: number;
+        max_retry_delay?: number;
+    }
+
+    class Transport implements HttpTransport {
+        constructor(options?: TransportOptions);
+        request(options: HttpRequestOptions): Promise<HttpResponse>;
+    }
+
+    interface ChannelOptions extends Partial<Options> {
+        name: string;
+        hostname?: string;
+        path_prefix?: string;
+    }
+
+    class ChannelRegistry {
+        constructor(options: { channels: ChannelOptions[]; defaults?: Partial<Options>; resolver?: (req: any) => string | undefined | Promise<string | undefined> });
+        get(name: string): LineLogin | undefined;
+        resolve(req: any): Promise<{ name: string; line_login: LineLogin }>;
+        auth(options?: AuthOptions): Middleware;
+        callback(s: SuccessCallback, f?: FailureCallback): Middleware;
+    }
+
+    interface BearerAuthenticatorOptions {
+        scope?: string | string[];
+        fetch_profile?: boolean;
+        cache_ttl?: number;
+        channel_id?: string;
+    }
+
+    interface BearerAuthenticationResult {
+        access_token: string;
+        client_id: string;
+        scope: string;
+        expires_in: number;
+        user?: User;
+    }
+
+    class BearerAuthenticator {
+        constructor(line_login: LineLogin, options?: BearerAuthenticatorOptions);
+        authenticate(authorization: string | undefined): Promise<BearerAuthenticationResult>;
+    }
+
+    interface AccountLink {
+        line_user_id: string;
+        app_user_id: string;
+        /** Milliseconds since epoch. */
+        linked_at: number;
+        access_token?: string;
+        refresh_token?: string;
+    }
+
+    interface AccountRepository {
+        find_by_line_user_id(line_user_id: string): Promise<AccountLink | undefined | null>;
+        find_by_app_user_id(app_user_id: string): Promise<AccountLink | undefined | null>;
+        save(link: AccountLink): Promise<void>;
+        delete(line_user_id: string): Promise<void>;
+    }
+
+    type LineIdentity = CallbackResult | User | TokenResponse | string;
+
+    class AccountLinker {
+        constructor(line_login: LineLogin, options: { repository: AccountRepository });
+        repository: AccountRepository;
+        find(identity: LineIdentity): Promise<AccountLink | null>;
+        find_by_app_user_id(app_user_id: string): Promise<AccountLink | null>;
+        link(app_user_id: string, identity: LineIdentity): Promise<AccountLink>;
+        unlink(app_user_id: string, options?: { revoke?: boolean; access_token?: string }): Promise<AccountLink | null>;
+    }
+
+    class MemoryAccountRepository implements AccountRepository {
+        constructor();
+        find_by_line_user_id(line_user_id: string): Promise<AccountLink | undefined>;
+        find_by_app_user_id(app_user_id: string): Promise<AccountLink | undefined>;
+        save(link: AccountLink): Promise<void>;
+        delete(line_user_id: string): Promise<void>;
+    }
+
+    interface TokenSet extends TokenResponse {
+        /** Expiration in milliseconds since epoch. */
+        expires_at?: number;
+    }
+
+    interface TokenSetStore {
+        get(key: string): Promise<TokenSet | undefined>;
+        set(key: string, token_set: TokenSet): Promise<void>;
+    }
+
+    interface TokenManagerOptions {
+        refresh_margin?: number;
+        store?: TokenSetStore;
+        key?: string;
+    }
+
+    class TokenManager extends EventEmitter {
+        constructor(line_login: LineLogin, token_response: TokenResponse | TokenSet, options?: TokenManagerOptions);
+        static load(line_login: LineLogin, options: { store: TokenSetStore; key: string; refresh_margin?: number }): Promise<TokenManager | null>;
+        token_set: TokenSet;
+        is_expiring(): boolean;
+        get_access_token(): Promise<string>;
+        refresh(): Promise<TokenSet>;
+        get_user_profile(): Promise<Profile>;
+        get_friendship_status(): Promise<FriendshipStatus>;
+    }
+
+    interface PassportProfile {
+        provider: "line";
+        id: string;
+        displayName?: string;
+        photos: { value: string }[];
+        emails: { value: string }[];
+        statusMessage?: string;
+        _json: { id_token: IdTokenClaims | {}; profile: Profile | {} };
+    }
+
+    class Strategy {
+        constructor(options: Partial<Options> & { line_login?: LineLogin; fetch_profile?: boolean; pass_req_to_callback?: boolean }, verify: (...args: any[]) => void);
+        name: "line";
+        authenticate(req: any, options?: AuthOptions): void;
+    }
+
+    interface MockUser {
+        user_id: string;
+        display_name?: string;
+        picture_url?: string;
+        status_message?: string;
+        email?: string;
+        friend_flag?: boolean;
+    }
+
+    class MockServer {
+        constructor(options: { channel_id: string; channel_secret: string; users?: MockUser[]; id_token_algorithm?: "HS256" | "ES256"; expires_in?: number });
+        readonly endpoint: string;
+        listen(port?: number): Promise<string>;
+        close(): Promise<void>;
+        login_as(user_id: string): void;
+        set_consent(consent: string): void;
+        inject_error(path: string, options?: { status_code?: number; body?: object; times?: number }): void;
+        issue_tokens(user_id: string, options?: { scope?: string; nonce?: string }): TokenResponse;
+        sign_id_token(user_id: string, options?: { nonce?: string; scope?: string; claims?: object }): string;
+        jwk_public_key(): string;
+    }
+
+    class Core {
+        constructor(line_login: LineLogin);
+        validate_auth_options(options: AuthOptions): void;
+        validate_return_to(return_to: string): string | undefined;
+        start_auth(req: any, res: any, options?: AuthOptions, query?: { [name: string]: any }): Promise<string>;
+        handle_callback(req: any, res: any, query: { [name: string]: any }): Promise<CallbackResult>;
+        handle_liff(req: any, res: any, credentials: { id_token?: string; access_token?: string }, options?: LiffOptions): Promise<CallbackResult>;
+    }
+
+    class ExpressAdapter {
+        constructor(line_login: LineLogin);
+        auth(options?: AuthOptions): Middleware;
+        callback(s: SuccessCallback, f?: FailureCallback): Middleware;
+        handle_callback(req: any, res?: any): Promise<CallbackResult>;
+    }
+
+    class KoaAdapter {
+        constructor(line_login: LineLogin);
+        auth(options?: AuthOptions): (ctx: any, next: () => Promise<any>) => Promise<void>;
+        callback(s: (ctx: any, next: () => Promise<any>, token_response: TokenResponse, result: CallbackResult) => any, f?: (ctx: any, next: () => Promise<any>, error: Error) => any): (ctx: any, next: () => Promise<any>) => Promise<void>;
+    }
+
+    class FastifyAdapter {
+        constructor(line_login: LineLogin);
+        auth(options?: AuthOptions): (request: any, reply: any) => Promise<any>;
+        callback(s: (request: any, reply: any, token_response: TokenResponse, result: CallbackResult) => any, f?: (request: any, reply: any, error: Error) => any): (request: any, reply: any) => Promise<any>;
+    }
+
+    class HttpAdapter {
+        constructor(line_login: LineLogin);
+        auth(options?: AuthOptions): (req: any, res: any) => Promise<void>;
+        callback(s: (req: any, res: any, token_response: TokenResponse, result: CallbackResult) => any, f?: (req: any, res: any, error: Error) => any): (req: any, res: any) => Promise<void>;
+    }
+
+    interface ErrorOptions {
+        status_code?: number;
+        error?: string;
+        error_description?: string;
+        request?: { method: string; url: string };
+    }
+
+    class LineLoginError extends Error {
+        constructor(message: string, options?: ErrorOptions);
+        status_code?: number;
+        error?: string;
+        error_description?: string;
+        request?: { method: string; url: string };
+    }
+    class ConfigurationError extends LineLoginError {
+        constructor(errors: string[]);
+        errors: string[];
+    }
+    class ApiError extends LineLoginError {
+        static from_response(response: HttpResponse, request?: { method: string; url: string }): ApiError;
+    }
+    class InvalidRequestError extends ApiError {}
+    class InvalidGrantError extends ApiError {}
+    class InvalidClientError extends ApiError {}
+    class InvalidTokenError extends ApiError {}
+    class RateLimitedError extends ApiError {
+        retry_after?: number;
+    }
+    class ServerError extends ApiError {}
+    class AuthorizationError extends LineLoginError {}
+    class StateMismatchError extends LineLoginError {}
+    class StateExpiredError extends StateMismatchError {}
+    class StateReusedError extends StateMismatchError {}
+    class BearerAuthenticationError extends LineLoginError {}
+    class ChannelNotFoundError extends LineLoginError {}
+    class AccountLinkConflictError extends LineLoginError {
+        line_user_id: string;
+        app_user_id: string;
+    }
+    class IdTokenVerificationError extends LineLoginError {
+        check?: IdTokenCheck;
+        checks?: IdTokenCheck[];
+    }
+    class IdTokenExpiredError extends IdTokenVerificationError {}
+    class IdTokenAudienceError extends IdTokenVerificationError {}
+    class IdTokenNonceError extends IdTokenVerificationError {}
+    class IdTokenAuthTimeError extends IdTokenVerificationError {}
+    class IdTokenMalformedError extends IdTokenVerificationError {}
+}
@@ -1,3 +1,21 @@
 "use strict";
 
 module.exports = require("./module/line-login");
+module.exports.SessionStore = require("./module/store/session");
+module.exports.CookieStore = require("./module/store/cookie");
+module.exports.MemoryStore = require("./module/store/memory");
+module.exports.Transport = require("./module/transport");
+module.exports.ChannelRegistry = require("./module/channel-registry");
+module.exports.User = require("./module/user");
+module.exports.BearerAuthenticator = require("./module/bearer-authenticator");
+module.exports.AccountLinker = require("./module/account-linker");
+module.exports.MemoryAccountRepository = require("./module/account-repository/memory");
+module.exports.TokenManager = require("./module/token-manager");
+module.exports.Strategy = require("./module/passport-strategy");
+module.exports.MockServer = require("./module/mock-server");
+module.exports.Core = require("./module/core");
+module.exports.ExpressAdapter = require("./module/adapter/express");
+module.exports.KoaAdapter = require("./module/adapter/koa");
+module.exports.FastifyAdapter = require("./module/adapter/fastify");
+module.exports.HttpAdapter = require("./module/adapter/http");
+Object.assign(module.exports, require("./module/error"));
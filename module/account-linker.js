@@ -0,0 +1,141 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const { AccountLinkConflictError } = require("./error");
+const repository_methods = ["find_by_line_user_id", "find_by_app_user_id", "save", "delete"];
+
+/**
+Helper to link LINE users to existing accounts of the app such as email and password accounts.
+A LINE user is linked to at most one app user and vice versa. Links are saved in repository.
+@class
+*/
+class AccountLinker {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    @param {Object} options
+    @param {Object} options.repository - Repository to save links. It has to implement find_by_line_user_id(line_user_id), find_by_app_user_id(app_user_id), save(link) and delete(line_user_id) which return Promise. Link has line_user_id, app_user_id, linked_at, access_token and refresh_token. MemoryAccountRepository is available for tests.
+    */
+    constructor(line_login, options = {}){
+        if (!options.repository){
+            throw new Error("Required parameter repository is missing.");
+        }
+        const missing = repository_methods.filter((method) => typeof options.repository[method] !== "function");
+        if (missing.length > 0){
+            throw new Error(`repository has to implement ${missing.join(", ")}.`);
+        }
+        this.line_login = line_login;
+        this.repository = options.repository;
+    }
+
+    /**
+    Method to find link of LINE user. Use this after login to find the app user to sign in.
+    @method
+    @param {Object|String} identity - Result of callback() or liff_login(), User or user id of LINE.
+    @return {Promise.<Object>} Link. Null if the LINE user is not linked.
+    */
+    find(identity){
+        let line_user_id;
+        try {
+            line_user_id = AccountLinker._line_user_id(identity);
+        } catch(exception){
+            return Promise.reject(exception);
+        }
+        return this.repository.find_by_line_user_id(line_user_id).then((link) => link || null);
+    }
+
+    /**
+    Method to find link of app user.
+    @method
+    @param {String} app_user_id - User id of the app.
+    @return {Promise.<Object>} Link. Null if the app user is not linked.
+    */
+    find_by_app_user_id(app_user_id){
+        return this.repository.find_by_app_user_id(app_user_id).then((link) => link || null);
+    }
+
+    /**
+    Method to link LINE user to app user who is currently logged in. Linking the same pair again updates tokens of the link.
+    @method
+    @param {String} app_user_id - User id of the app.
+    @param {Object|String} identity - Result of callback() or liff_login(), User or user id of LINE. Tokens are saved only when result is given.
+    @return {Promise.<Object>} Saved link. Rejects with AccountLinkConflictError if either of them is already linked to another account.
+    */
+    link(app_user_id, identity){
+        let line_user_id;
+        try {
+            if (!app_user_id) throw new Error("Required parameter app_user_id is missing.");
+            line_user_id = AccountLinker._line_user_id(identity);
+        } catch(exception){
+            return Promise.reject(exception);
+        }
+
+        return Promise.all([
+            this.repository.find_by_line_user_id(line_user_id),
+            this.repository.find_by_app_user_id(app_user_id)
+        ]).then(([line_user_link, app_user_link]) => {
+            if (line_user_link && line_user_link.app_user_id !== app_user_id){
+                debug(`LINE user ${line_user_id} is already linked to another account.`);
+                return Promise.reject(new AccountLinkConflictError("LINE account is already linked to another account.", line_user_link));
+            }
+            if (app_user_link && app_user_link.line_user_id !== line_user_id){
+                debug(`App user ${app_user_id} is already linked to another LINE account.`);
+                return Promise.reject(new AccountLinkConflictError("Account is already linked to another LINE account.", app_user_link));
+            }
+
+            const token_response = (identity && identity.token_response) || {};
+            let link = Object.assign({}, line_user_link, {
+                line_user_id: line_user_id,
+                app_user_id: app_user_id,
+                linked_at: (line_user_link && line_user_link.linked_at) || Date.now()
+            });
+            if (token_response.access_token) link.access_token = token_response.access_token;
+            if (token_response.refresh_token) link.refresh_token = token_response.refresh_token;
+            return this.repository.save(link).then(() => link);
+        });
+    }
+
+    /**
+    Method to unlink LINE user from app user. Access token of the link is revoked and link is deleted even if revocation failed.
+    @method
+    @param {String} app_user_id - User id of the app.
+    @param {Object} [options]
+    @param {Boolean} [options.revoke=true] - Revoke access token.
+    @param {String} [options.access_token] - Access token to revoke instead of the one saved in link.
+    @return {Promise.<Object>} Deleted link. Null if the app user is not linked.
+    */
+    unlink(app_user_id, options = {}){
+        return this.repository.find_by_app_user_id(app_user_id).then((link) => {
+            if (!link) return null;
+
+            const access_token = options.access_token || link.access_token;
+            return Promise.resolve().then(() => {
+                if (options.revoke === false || !access_token) return;
+                return this.line_login.revoke_access_token(access_token).catch((error) => {
+                    debug(`Failed to revoke access token. ${error.message}`);
+                });
+            }).then(() => {
+                return this.repository.delete(link.line_user_id);
+            }).then(() => link);
+        });
+    }
+
+    /**
+    Method to extract user id of LINE from identity.
+    @method
+    @param {Object|String} identity - Result of callback() or liff_login(), User, token response which has decoded id token or user id of LINE.
+    @return {String}
+    */
+    static _line_user_id(identity){
+        if (typeof identity === "string" && identity) return identity;
+        if (identity && typeof identity === "object"){
+            if (identity.user_id) return identity.user_id;
+            if (identity.user && identity.user.user_id) return identity.user.user_id;
+            const token_response = identity.token_response || identity;
+            if (token_response.id_token && token_response.id_token.sub) return token_response.id_token.sub;
+        }
+        throw new Error("User id of LINE is not found. Give result of callback() with decoded id token, User or user id.");
+    }
+}
+
+module.exports = AccountLinker;
@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+Repository to save links between LINE users and app users in process memory. Links are lost when the process exits so use it for tests and prototypes.
+@class
+*/
+class MemoryAccountRepository {
+    /**
+    @constructor
+    */
+    constructor(){
+        this.links = new Map();
+    }
+
+    /**
+    Method to find link by user id of LINE.
+    @method
+    @param {String} line_user_id - User id of LINE.
+    @return {Promise.<Object>} Link. Undefined if not found.
+    */
+    find_by_line_user_id(line_user_id){
+        return Promise.resolve(this.links.get(line_user_id));
+    }
+
+    /**
+    Method to find link by user id of the app.
+    @method
+    @param {String} app_user_id - User id of the app.
+    @return {Promise.<Object>} Link. Undefined if not found.
+    */
+    find_by_app_user_id(app_user_id){
+        for (const link of this.links.values()){
+            if (link.app_user_id === app_user_id) return Promise.resolve(link);
+        }
+        return Promise.resolve(undefined);
+    }
+
+    /**
+    Method to save link. Existing link of the LINE user is overwritten.
+    @method
+    @param {Object} link - Link which has line_user_id and app_user_id.
+    @return {Promise}
+    */
+    save(link){
+        this.links.set(link.line_user_id, link);
+        return Promise.resolve();
+    }
+
+    /**
+    Method to delete link.
+    @method
+    @param {String} line_user_id - User id of LINE.
+    @return {Promise}
+    */
+    delete(line_user_id){
+        this.links.delete(line_user_id);
+        return Promise.resolve();
+    }
+}
+
+module.exports = MemoryAccountRepository;
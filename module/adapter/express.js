@@ -0,0 +1,299 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const User = require("../user");
+const BearerAuthenticator = require("../bearer-authenticator");
+const SessionStore = require("../store/session");
+const { BearerAuthenticationError, ConfigurationError } = require("../error");
+const session_key = "line_user";
+
+/**
+Adapter to use login flow in Express.
+@class
+*/
+class ExpressAdapter {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    */
+    constructor(line_login){
+        this.line_login = line_login;
+        this.core = line_login.core;
+    }
+
+    /**
+    Middleware to redirect user to LINE authorization endpoint.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of make_auth_url() except for code_challenge.
+    @return {Function}
+    */
+    auth(options){
+        if (options) this.core.validate_auth_options(options);
+        return (req, res, next) => {
+            return this.core.start_auth(req, res, options, req.query).then((url) => {
+                return res.redirect(url);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Middleware to handle callback after authorization.
+    Exactly one of success and failure callback is called. Exception thrown by them is passed to next().
+    @method
+    @param {Function} s - Callback function on success. Called with req, res, next, token_response and result.
+    @param {Function} [f] - Callback function on failure. Called with req, res, next and error. If omitted, error is passed to next().
+    @return {Function}
+    */
+    callback(s, f){
+        return (req, res, next) => {
+            return this.handle_callback(req, res).then((result) => {
+                if (result.handled) return;
+                s(req, res, next, result.token_response, result);
+            }, (error) => {
+                debug(error);
+                if (f) f(req, res, next, error);
+                else next(error);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Method to handle callback after authorization and save login session if login_session is true.
+    @method
+    @param {Object} req - Request.
+    @param {Object} [res] - Response. Default is req.res.
+    @return {Promise.<Object>} Result of login.
+    */
+    handle_callback(req, res){
+        return this.core.handle_callback(req, res || req.res, req.query).then((result) => {
+            if (!this.line_login.login_session) return result;
+            return this._save_login(req, result);
+        });
+    }
+
+    /**
+    Middleware to establish login from ID token or access token obtained by LIFF app.
+    ID token and access token are read from request body and access token is also read from Authorization header.
+    @method
+    @param {Function} s - Callback function on success. Called with req, res, next, token_response and result.
+    @param {Function} [f] - Callback function on failure. Called with req, res, next and error. If omitted, error is passed to next().
+    @param {Object} [options] - Options of Core.handle_liff().
+    @return {Function}
+    */
+    liff_login(s, f, options){
+        return (req, res, next) => {
+            const body = (req.body && typeof req.body === "object") ? req.body : {};
+            let credentials = {
+                id_token: body.id_token,
+                access_token: body.access_token
+            }
+            const match = /^Bearer\s+(\S+)$/i.exec((req.headers && req.headers.authorization) || "");
+            if (!credentials.access_token && match) credentials.access_token = match[1];
+
+            return this.core.handle_liff(req, res, credentials, options).then((result) => {
+                if (!this.line_login.login_session) return result;
+                return this._save_login(req, result);
+            }).then((result) => {
+                s(req, res, next, result.token_response, result);
+            }, (error) => {
+                debug(error);
+                if (f) f(req, res, next, error);
+                else next(error);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Middleware to let only logged in user pass. User who has not logged in is redirected to authorization endpoint and returns to the requested URL after login.
+    Requires login_session option of LineLogin.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of auth().
+    @param {String} [options.login_path] - Path to redirect user who has not logged in instead of starting authorization here. Requested URL is added as return_to query parameter.
+    @return {Function}
+    @throws {ConfigurationError} Thrown if login_session option is not enabled since user would be redirected to login endless.
+    */
+    require_login(options = {}){
+        if (!this.line_login.login_session){
+            throw new ConfigurationError(["require_login() requires login_session option to be true."]);
+        }
+        let auth_options = Object.assign({}, options);
+        delete auth_options.login_path;
+        this.core.validate_auth_options(auth_options);
+        return (req, res, next) => {
+            ExpressAdapter._define_line_user(req);
+            if (req.line_user) return next();
+
+            debug("User has not logged in.");
+            const return_to = req.originalUrl || req.url;
+            if (options.login_path){
+                const separator = options.login_path.includes("?") ? "&" : "?";
+                return res.redirect(`${options.login_path}${separator}return_to=${encodeURIComponent(return_to)}`);
+            }
+            return this.core.start_auth(req, res, Object.assign({return_to: return_to}, auth_options), req.query).then((url) => {
+                return res.redirect(url);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Middleware to set req.line_user which is User of logged in user or null. Use this in the pages which do not require login.
+    @method
+    @return {Function}
+    */
+    current_user(){
+        return (req, res, next) => {
+            ExpressAdapter._define_line_user(req);
+            next();
+        }
+    }
+
+    /**
+    Middleware to logout. Access token is revoked, login session is deleted and user is redirected.
+    Login session is deleted even if revocation failed.
+    @method
+    @param {Object} [options]
+    @param {String} [options.redirect="/"] - URL to redirect after logout.
+    @param {Boolean} [options.destroy_session=false] - Destroy whole session instead of deleting login session only.
+    @return {Function}
+    */
+    logout(options = {}){
+        return (req, res, next) => {
+            const login = req.session && req.session[session_key];
+
+            return Promise.resolve().then(() => {
+                if (!(login && login.access_token)) return;
+                return this.line_login.revoke_access_token(login.access_token).catch((error) => {
+                    debug(`Failed to revoke access token. ${error.message}`);
+                });
+            }).then(() => {
+                if (!req.session) return;
+                if (options.destroy_session){
+                    return new Promise((resolve, reject) => {
+                        req.session.destroy((error) => {
+                            if (error) return reject(error);
+                            resolve();
+                        });
+                    });
+                }
+                delete req.session[session_key];
+            }).then(() => {
+                return res.redirect(options.redirect || "/");
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Middleware to authenticate access token in Authorization header. Verified access token is set to req.line_access_token and User is set to req.line_user if fetch_profile is true.
+    If authentication failed, it responds 401 or 403 with WWW-Authenticate header. Other errors are passed to next().
+    @method
+    @param {Object} [options] - Options of BearerAuthenticator.
+    @return {Function}
+    */
+    authenticate_bearer(options){
+        const authenticator = new BearerAuthenticator(this.line_login, options);
+        return (req, res, next) => {
+            return authenticator.authenticate(req.headers.authorization).then((result) => {
+                req.line_access_token = result;
+                if (result.user) Object.defineProperty(req, "line_user", {configurable: true, writable: true, value: result.user});
+                next();
+            }, (error) => {
+                debug(error);
+                if (!(error instanceof BearerAuthenticationError)) return next(error);
+                let challenge = `Bearer realm="line-login"`;
+                if (error.error !== "invalid_request") challenge += `, error="${error.error}"`;
+                if (error.error === "insufficient_scope") challenge += `, scope="${authenticator.scope.join(" ")}"`;
+                res.set("WWW-Authenticate", challenge);
+                res.status(error.status_code).json({
+                    error: error.error,
+                    error_description: error.message
+                });
+            });
+        }
+    }
+
+    /**
+    Method to save user and tokens in session as login session. Session is regenerated to prevent session fixation.
+    @method
+    @param {Object} req - Request.
+    @param {Object} result - Result of login.
+    @return {Promise.<Object>} Result of login which has user.
+    */
+    _save_login(req, result){
+        if (!req.session){
+            return Promise.reject(new Error("Session is not available. Mount express-session middleware to use login_session."));
+        }
+        const token_response = result.token_response;
+
+        return Promise.resolve().then(() => {
+            return result.user || this.line_login.get_user(token_response);
+        }).then((user) => {
+            result.user = user;
+            return this._regenerate_session(req);
+        }).then(() => {
+            const user = result.user;
+            req.session[session_key] = {
+                user: user.serialize(),
+                access_token: token_response.access_token,
+                refresh_token: token_response.refresh_token,
+                expires_at: (token_response.expires_in) ? Date.now() + token_response.expires_in * 1000 : undefined
+            }
+            ExpressAdapter._define_line_user(req);
+            return result;
+        });
+    }
+
+    /**
+    Method to regenerate session id. Login attempts saved by SessionStore are carried over so that the states stay consumed and login in other tabs can complete.
+    Session without regenerate() such as the one of cookie-session is left as it is.
+    @method
+    @param {Object} req - Request.
+    @return {Promise}
+    */
+    _regenerate_session(req){
+        if (typeof req.session.regenerate !== "function") return Promise.resolve();
+        const store = this.line_login.store;
+        const attempts_key = (store instanceof SessionStore) ? store.session_key : undefined;
+        const attempts = attempts_key ? req.session[attempts_key] : undefined;
+
+        return new Promise((resolve, reject) => {
+            req.session.regenerate((error) => {
+                if (error) return reject(error);
+                if (attempts) req.session[attempts_key] = attempts;
+                resolve();
+            });
+        });
+    }
+
+    /**
+    Method to define req.line_user which reads User from login session.
+    @method
+    @param {Object} req - Request.
+    */
+    static _define_line_user(req){
+        Object.defineProperty(req, "line_user", {
+            configurable: true,
+            enumerable: false,
+            get: () => {
+                const login = req.session && req.session[session_key];
+                return (login && login.user) ? User.deserialize(login.user) : null;
+            }
+        });
+    }
+}
+
+module.exports = ExpressAdapter;
@@ -0,0 +1,54 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+
+/**
+Adapter to use login flow in Fastify. Raw response is passed to store as response.
+@class
+*/
+class FastifyAdapter {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    */
+    constructor(line_login){
+        this.core = line_login.core;
+    }
+
+    /**
+    Route handler to redirect user to LINE authorization endpoint.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of make_auth_url() except for code_challenge.
+    @return {Function}
+    */
+    auth(options){
+        if (options) this.core.validate_auth_options(options);
+        return (request, reply) => {
+            return this.core.start_auth(request, reply.raw, options, request.query).then((url) => {
+                return reply.redirect(url);
+            });
+        }
+    }
+
+    /**
+    Route handler to handle callback after authorization.
+    @method
+    @param {Function} s - Callback function on success. Called with request, reply, token_response and result.
+    @param {Function} [f] - Callback function on failure. Called with request, reply and error. If omitted, error is thrown.
+    @return {Function}
+    */
+    callback(s, f){
+        return (request, reply) => {
+            return this.core.handle_callback(request, reply.raw, request.query).then((result) => {
+                if (result.handled) return reply;
+                return s(request, reply, result.token_response, result);
+            }, (error) => {
+                debug(error);
+                if (f) return f(request, reply, error);
+                throw error;
+            }).then(() => reply);
+        }
+    }
+}
+
+module.exports = FastifyAdapter;
@@ -0,0 +1,92 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const querystring = require("querystring");
+const { AuthorizationError, StateMismatchError, IdTokenVerificationError, InvalidGrantError } = require("../error");
+
+/**
+Adapter to use login flow in bare http module.
+@class
+*/
+class HttpAdapter {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    */
+    constructor(line_login){
+        this.core = line_login.core;
+    }
+
+    /**
+    Request listener to redirect user to LINE authorization endpoint.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of make_auth_url() except for code_challenge.
+    @return {Function}
+    */
+    auth(options){
+        if (options) this.core.validate_auth_options(options);
+        return (req, res) => {
+            return this.core.start_auth(req, res, options, HttpAdapter._parse_query(req)).then((url) => {
+                res.statusCode = 302;
+                res.setHeader("Location", url);
+                res.end();
+            }).catch((error) => {
+                debug(error);
+                HttpAdapter._respond_error(res, error);
+            });
+        }
+    }
+
+    /**
+    Request listener to handle callback after authorization.
+    Exactly one of success and failure callback is called. Exception thrown by them is responded with status code 500.
+    @method
+    @param {Function} s - Callback function on success. Called with req, res, token_response and result.
+    @param {Function} [f] - Callback function on failure. Called with req, res and error. If omitted, responds with status code 400 or 500. Message is included only in 400.
+    @return {Function}
+    */
+    callback(s, f){
+        return (req, res) => {
+            return this.core.handle_callback(req, res, HttpAdapter._parse_query(req)).then((result) => {
+                if (result.handled) return;
+                return s(req, res, result.token_response, result);
+            }, (error) => {
+                debug(error);
+                if (f) return f(req, res, error);
+                HttpAdapter._respond_error(res, error);
+            }).catch((error) => {
+                debug(error);
+                HttpAdapter._respond_error(res, error);
+            });
+        }
+    }
+
+    /**
+    Method to parse query string of request URL.
+    @method
+    @param {Object} req - Request.
+    @return {Object}
+    */
+    static _parse_query(req){
+        return Object.assign({}, querystring.parse((req.url || "").split("?")[1] || ""));
+    }
+
+    /**
+    Method to respond error when failure callback is not given or handler throws.
+    Errors caused by the request such as invalid state, ID token and authorization code are responded with status code 400 and their message. Other errors are responded with status code 500 and generic message not to expose internals.
+    @method
+    @param {Object} res - Response.
+    @param {Error} error
+    */
+    static _respond_error(res, error){
+        const client_errors = [AuthorizationError, StateMismatchError, IdTokenVerificationError, InvalidGrantError];
+        if (client_errors.some((client_error) => error instanceof client_error)){
+            res.statusCode = 400;
+            return res.end(error.message);
+        }
+        res.statusCode = 500;
+        res.end("Internal Server Error");
+    }
+}
+
+module.exports = HttpAdapter;
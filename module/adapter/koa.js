@@ -0,0 +1,54 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+
+/**
+Adapter to use login flow in Koa. ctx is passed to store as request so ctx.session of koa-session is used by SessionStore.
+@class
+*/
+class KoaAdapter {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    */
+    constructor(line_login){
+        this.core = line_login.core;
+    }
+
+    /**
+    Middleware to redirect user to LINE authorization endpoint.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of make_auth_url() except for code_challenge.
+    @return {Function}
+    */
+    auth(options){
+        if (options) this.core.validate_auth_options(options);
+        return (ctx, next) => {
+            return this.core.start_auth(ctx, ctx.res, options, ctx.query).then((url) => {
+                ctx.redirect(url);
+            });
+        }
+    }
+
+    /**
+    Middleware to handle callback after authorization.
+    @method
+    @param {Function} s - Callback function on success. Called with ctx, next, token_response and result.
+    @param {Function} [f] - Callback function on failure. Called with ctx, next and error. If omitted, error is thrown.
+    @return {Function}
+    */
+    callback(s, f){
+        return (ctx, next) => {
+            return this.core.handle_callback(ctx, ctx.res, ctx.query).then((result) => {
+                if (result.handled) return;
+                return s(ctx, next, result.token_response, result);
+            }, (error) => {
+                debug(error);
+                if (f) return f(ctx, next, error);
+                throw error;
+            });
+        }
+    }
+}
+
+module.exports = KoaAdapter;
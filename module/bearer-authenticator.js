@@ -0,0 +1,122 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const crypto = require("crypto");
+const User = require("./user");
+const { InvalidTokenError, InvalidRequestError, BearerAuthenticationError } = require("./error");
+
+/**
+Authenticator of access token sent in Authorization header by frontends such as SPA and LIFF app.
+Access token is verified by verify_access_token() and positive results are cached.
+@class
+*/
+class BearerAuthenticator {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    @param {Object} [options]
+    @param {String|Array.<String>} [options.scope] - Scopes which access token has to have. Space separated string or array.
+    @param {Boolean} [options.fetch_profile=false] - Retrieve profile and expose it as user of the result.
+    @param {Number} [options.cache_ttl=300] - Time to cache verified access token in seconds. It never exceeds expiration of access token. Set 0 to disable cache.
+    @param {String} [options.channel_id] - Channel id which access token has to be issued for. Default is channel_id of LineLogin.
+    */
+    constructor(line_login, options = {}){
+        this.line_login = line_login;
+        this.channel_id = options.channel_id || line_login.channel_id;
+        this.scope = (Array.isArray(options.scope) ? options.scope : (options.scope || "").split(" ")).filter((scope) => scope);
+        this.fetch_profile = options.fetch_profile || false;
+        this.cache_ttl = (typeof options.cache_ttl === "undefined") ? 300 : options.cache_ttl;
+        this.cache = new Map();
+    }
+
+    /**
+    Method to authenticate Authorization header.
+    @method
+    @param {String} authorization - Value of Authorization header.
+    @return {Promise.<Object>} Result which has access_token, client_id, scope, expires_in and user if fetch_profile is true.
+    */
+    authenticate(authorization){
+        const match = /^Bearer\s+(\S+)$/i.exec(authorization || "");
+        if (!match){
+            return Promise.reject(new BearerAuthenticationError("Bearer token is missing.", {
+                status_code: 401,
+                error: "invalid_request"
+            }));
+        }
+        const access_token = match[1];
+        const key = crypto.createHash("sha256").update(access_token).digest("hex");
+
+        this._prune();
+        const cached = this.cache.get(key);
+        if (cached){
+            debug("Access token is found in cache.");
+            return Promise.resolve(cached.result);
+        }
+
+        return this.line_login.verify_access_token(access_token).catch((error) => {
+            if (error instanceof InvalidTokenError || error instanceof InvalidRequestError){
+                return Promise.reject(new BearerAuthenticationError("Access token is invalid.", {
+                    status_code: 401,
+                    error: "invalid_token",
+                    error_description: error.error_description
+                }));
+            }
+            return Promise.reject(error);
+        }).then((verified) => {
+            if (String(verified.client_id) !== String(this.channel_id)){
+                return Promise.reject(new BearerAuthenticationError("Access token is issued for other channel.", {
+                    status_code: 401,
+                    error: "invalid_token"
+                }));
+            }
+            if (!(verified.expires_in > 0)){
+                return Promise.reject(new BearerAuthenticationError("Access token is expired.", {
+                    status_code: 401,
+                    error: "invalid_token"
+                }));
+            }
+            const granted_scope = (verified.scope || "").split(" ");
+            const missing_scope = this.scope.filter((scope) => !granted_scope.includes(scope));
+            if (missing_scope.length > 0){
+                return Promise.reject(new BearerAuthenticationError(`Access token does not have required scope. ${missing_scope.join(" ")}`, {
+                    status_code: 403,
+                    error: "insufficient_scope"
+                }));
+            }
+
+            let result = {
+                access_token: access_token,
+                client_id: verified.client_id,
+                scope: verified.scope,
+                expires_in: verified.expires_in
+            }
+            if (!this.fetch_profile) return result;
+            return this.line_login.get_user_profile(access_token).then((line_profile) => {
+                result.user = User.from(null, line_profile);
+                return result;
+            });
+        }).then((result) => {
+            const ttl = Math.min(this.cache_ttl, result.expires_in);
+            if (ttl > 0){
+                this.cache.set(key, {
+                    result: result,
+                    expires_at: Date.now() + ttl * 1000
+                });
+            }
+            return result;
+        });
+    }
+
+    /**
+    Method to delete expired entries of cache.
+    @method
+    */
+    _prune(){
+        const now = Date.now();
+        for (const [key, entry] of this.cache){
+            if (entry.expires_at <= now) this.cache.delete(key);
+        }
+    }
+}
+
+module.exports = BearerAuthenticator;
@@ -0,0 +1,155 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const LineLogin = require("./line-login");
+const { ChannelNotFoundError } = require("./error");
+
+const registry_params = ["name", "hostname", "path_prefix"];
+
+/**
+Registry of multiple LINE Login channels served by one app. Channel is resolved per request by resolver function, hostname or path prefix.
+@class
+*/
+class ChannelRegistry {
+    /**
+    @constructor
+    @param {Object} options
+    @param {Array.<Object>} options.channels - Channels. Each channel has name and options of LineLogin. hostname and path_prefix are used to resolve the channel.
+    @param {String} options.channels[].name - Unique name of the channel.
+    @param {String} [options.channels[].hostname] - Hostname served by the channel. e.g. "brand-a.example.com"
+    @param {String} [options.channels[].path_prefix] - Path prefix served by the channel. e.g. "/brand-a/"
+    @param {Object} [options.defaults] - Options of LineLogin shared by all channels. e.g. store.
+    @param {Function} [options.resolver] - Function which takes request and returns name of the channel or Promise resolving it. Used before hostname and path prefix.
+    */
+    constructor(options){
+        if (!Array.isArray(options.channels) || options.channels.length === 0){
+            throw new Error("Required parameter channels is missing.");
+        }
+        this.resolver = options.resolver;
+        this.channels = [];
+        options.channels.map((channel) => {
+            if (!channel.name){
+                throw new Error("Required parameter name of channel is missing.");
+            }
+            if (this.channels.find((registered) => registered.name === channel.name)){
+                throw new Error(`Channel ${channel.name} is duplicated.`);
+            }
+            let line_login_options = Object.assign({}, options.defaults);
+            Object.keys(channel).map((param) => {
+                if (!registry_params.includes(param)) line_login_options[param] = channel[param];
+            });
+            this.channels.push({
+                name: channel.name,
+                hostname: channel.hostname,
+                path_prefix: channel.path_prefix,
+                line_login: new LineLogin(line_login_options)
+            });
+        });
+    }
+
+    /**
+    Method to get LineLogin of the channel.
+    @method
+    @param {String} name - Name of the channel.
+    @return {LineLogin}
+    */
+    get(name){
+        const channel = this.channels.find((channel) => channel.name === name);
+        return channel ? channel.line_login : undefined;
+    }
+
+    /**
+    Method to resolve channel of the request.
+    @method
+    @param {Object} req - Request of Express, ctx of Koa or request of Fastify.
+    @return {Promise.<Object>} Channel which has name and line_login.
+    */
+    resolve(req){
+        return Promise.resolve().then(() => {
+            if (this.resolver) return this.resolver(req);
+        }).then((name) => {
+            let channel;
+            if (name){
+                channel = this.channels.find((channel) => channel.name === name);
+            } else {
+                const hostname = ChannelRegistry._hostname(req);
+                const path = req.originalUrl || req.url || "";
+                channel = this.channels.find((channel) => {
+                    if (channel.hostname && channel.hostname !== hostname) return false;
+                    if (channel.path_prefix && !path.startsWith(channel.path_prefix)) return false;
+                    return Boolean(channel.hostname || channel.path_prefix);
+                });
+            }
+            if (!channel){
+                debug("Channel is not found.");
+                return Promise.reject(new ChannelNotFoundError(name ? `Channel ${name} is not found.` : "Channel is not found."));
+            }
+            return {
+                name: channel.name,
+                line_login: channel.line_login
+            }
+        });
+    }
+
+    /**
+    Middleware of Express to redirect user to authorization endpoint of the resolved channel.
+    @method
+    @param {Object} [options] - Same as LineLogin.auth().
+    @return {Function}
+    */
+    auth(options){
+        let middlewares = {};
+        return (req, res, next) => {
+            return this.resolve(req).then((channel) => {
+                if (!middlewares[channel.name]) middlewares[channel.name] = channel.line_login.auth(options);
+                return middlewares[channel.name](req, res, next);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Middleware of Express to handle callback of the resolved channel. Result passed to success callback has name of the channel as channel.
+    Exactly one of success and failure callback is called. Exception thrown by them is passed to next().
+    @method
+    @param {Function} s - Callback function on success.
+    @param {Function} [f] - Callback function on failure.
+    @return {Function}
+    */
+    callback(s, f){
+        let middlewares = {};
+        return (req, res, next) => {
+            return this.resolve(req).then((channel) => {
+                if (!middlewares[channel.name]){
+                    middlewares[channel.name] = channel.line_login.callback((req, res, next, token_response, result) => {
+                        s(req, res, next, token_response, Object.assign({channel: channel.name}, result));
+                    }, f);
+                }
+                return middlewares[channel.name](req, res, next);
+            }, (error) => {
+                debug(error);
+                if (f) f(req, res, next, error);
+                else next(error);
+            }).catch((error) => {
+                debug(error);
+                next(error);
+            });
+        }
+    }
+
+    /**
+    Method to get hostname of request without port.
+    @method
+    @param {Object} req
+    @return {String}
+    */
+    static _hostname(req){
+        if (req.hostname) return req.hostname;
+        const host = (req.headers && req.headers.host) || "";
+        return host.replace(/:\d+$/, "");
+    }
+}
+
+module.exports = ChannelRegistry;
@@ -0,0 +1,462 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const crypto = require("crypto");
+const { URL } = require("url");
+const secure_compare = require("secure-compare");
+const BearerAuthenticator = require("./bearer-authenticator");
+const CookieStore = require("./store/cookie");
+const User = require("./user");
+const { AuthorizationError, StateMismatchError, StateExpiredError, StateReusedError } = require("./error");
+const binding_cookie = "line_login_binding";
+
+/**
+Framework neutral core of login flow. Adapters translate request and response of each framework into calls of this class.
+Request and response are passed to store as they are so store has to support the objects given by the adapter.
+@class
+*/
+class Core {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    */
+    constructor(line_login){
+        this.line_login = line_login;
+    }
+
+    /**
+    Method to validate options of authorization request. Throws error if invalid.
+    @method
+    @param {Object} options - Options of make_auth_url().
+    */
+    validate_auth_options(options){
+        let url_options = Object.assign({}, options);
+        delete url_options.return_to;
+        this.line_login.constructor._validate_auth_options(url_options);
+    }
+
+    /**
+    Method to validate URL to return after login against allowed_return_to of LineLogin.
+    Relative path is normalized and protocol relative URL such as "//evil.example.com" is rejected before and after normalization.
+    @method
+    @param {String} return_to - URL or path to return after login.
+    @return {String} Normalized URL or path. Undefined if it is not allowed.
+    */
+    validate_return_to(return_to){
+        if (typeof return_to !== "string" || return_to.length > 2048 || /[\u0000-\u001f\\]/.test(return_to)){
+            return undefined;
+        }
+        const allowed = this.line_login.allowed_return_to;
+
+        if (return_to.startsWith("/")){
+            if (return_to.startsWith("//")) return undefined;
+            const url = new URL(return_to, "http://localhost");
+            // Removing dot segments may turn path into protocol relative URL. e.g. "/.//evil.example.com"
+            if (url.origin !== "http://localhost" || url.pathname.startsWith("//")) return undefined;
+            const path = url.pathname + url.search + url.hash;
+            if (allowed.some((entry) => entry.startsWith("/") && url.pathname.startsWith(entry))){
+                return path;
+            }
+            return undefined;
+        }
+
+        let url;
+        try {
+            url = new URL(return_to);
+        } catch(exception){
+            return undefined;
+        }
+        if (!["http:", "https:"].includes(url.protocol)) return undefined;
+        const is_allowed = allowed.some((entry) => {
+            if (entry.startsWith("/")) return false;
+            const allowed_url = new URL(entry);
+            if (allowed_url.origin !== url.origin) return false;
+            return url.pathname.startsWith(allowed_url.pathname);
+        });
+        return is_allowed ? url.href : undefined;
+    }
+
+    /**
+    Method to save new login attempt in store and make authorization URL for it.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {Object} [options] - Options of authorization request. Same as options of make_auth_url() except for code_challenge.
+    @param {String} [options.return_to] - URL or path to return after login. Overrides the one in query.
+    @param {Object} [query] - Query parameters of the request. return_to is read from here unless set in options.
+    @return {Promise.<String>} Authorization URL.
+    */
+    start_auth(req, res, options = {}, query = {}){
+        const line_login = this.line_login;
+        const LineLogin = line_login.constructor;
+        const state = LineLogin._random();
+        let login_attempt = {
+            channel_id: line_login.channel_id,
+            nonce: LineLogin._random(),
+            issued_at: Date.now()
+        };
+        let url_options = Object.assign({}, options);
+        delete url_options.code_challenge;
+        delete url_options.return_to;
+        try {
+            this.validate_auth_options(url_options);
+        } catch(exception){
+            return Promise.reject(exception);
+        }
+        const return_to = options.return_to || query.return_to;
+        if (return_to){
+            login_attempt.return_to = this.validate_return_to(return_to);
+            if (!login_attempt.return_to){
+                debug(`return_to ${return_to} is not allowed. Ignored.`);
+                delete login_attempt.return_to;
+            }
+        }
+        // Saved to verify auth_time of id token.
+        if (typeof url_options.max_age !== "undefined"){
+            login_attempt.max_age = url_options.max_age;
+        }
+        if (line_login.pkce){
+            login_attempt.code_verifier = LineLogin._generate_code_verifier();
+            url_options.code_challenge = LineLogin._generate_code_challenge(login_attempt.code_verifier);
+        }
+        if (line_login.state_binding){
+            login_attempt.binding = Core._hash(this._set_binding(req, res));
+        }
+        return line_login.store.set(req, res, state, login_attempt).then(() => {
+            const url = line_login.make_auth_url(state, login_attempt.nonce, url_options);
+            line_login._emit("authorization_started", {
+                request: Core._request_metadata(req),
+                scope: url_options.scope || line_login.scope,
+                pkce: line_login.pkce,
+                return_to: login_attempt.return_to
+            });
+            return url;
+        });
+    }
+
+    /**
+    Method to verify state of callback, retrieve access token and verify id token.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {Object} query - Query parameters of callback.
+    @return {Promise.<Object>} Result of login. token_response has decoded id_token, id_token_checks has the checks which ran in verifying it, return_to is the one validated in start_auth() and friendship_status_changed is parsed into Boolean.
+    */
+    handle_callback(req, res, query){
+        const line_login = this.line_login;
+        const code = query.code;
+        const state = query.state;
+        // LINE sets "true" or "false" only when bot_prompt was displayed.
+        let friendship_status_changed;
+        if (query.friendship_status_changed === "true") friendship_status_changed = true;
+        if (query.friendship_status_changed === "false") friendship_status_changed = false;
+        const request = Core._request_metadata(req);
+
+        line_login._emit("callback_received", {
+            request: request,
+            error: query.error,
+            friendship_status_changed: friendship_status_changed
+        });
+
+        if (!state){
+            debug("Authorization failed. State is missing.");
+            line_login._emit("state_mismatch", {request: request, reason: "missing"});
+            return Promise.reject(new StateMismatchError("Authorization failed. State does not match."));
+        }
+
+        return line_login.store.get(req, state).then((login_attempt) => {
+            // Login attempt of other channel sharing the store is not accepted.
+            if (!login_attempt || (login_attempt.channel_id && login_attempt.channel_id !== line_login.channel_id)){
+                debug("Authorization failed. State does not match.");
+                line_login._emit("state_mismatch", {request: request, reason: login_attempt ? "channel_mismatch" : "not_found"});
+                return Promise.reject(new StateMismatchError("Authorization failed. State does not match."));
+            }
+            if (login_attempt.consumed_at){
+                debug("Authorization failed. State has already been used.");
+                line_login._emit("state_mismatch", {request: request, reason: "reused"});
+                return Promise.reject(new StateReusedError("Authorization failed. State has already been used."));
+            }
+
+            // Consumed before any other check so that the state is never used twice whatever the outcome is.
+            return line_login.store.set(req, res, state, {
+                channel_id: login_attempt.channel_id,
+                issued_at: login_attempt.issued_at,
+                consumed_at: Date.now()
+            }).then(() => login_attempt);
+        }).then((login_attempt) => {
+            if (login_attempt.issued_at && Date.now() - login_attempt.issued_at > line_login.state_ttl * 1000){
+                debug("Authorization failed. State has expired.");
+                line_login._emit("state_mismatch", {request: request, reason: "expired"});
+                return Promise.reject(new StateExpiredError("Authorization failed. State has expired."));
+            }
+            if (login_attempt.binding){
+                const binding = CookieStore._parse_cookie(req.headers && req.headers.cookie)[binding_cookie];
+                if (!binding || !secure_compare(Core._hash(binding), login_attempt.binding)){
+                    debug("Authorization failed. State is not bound to this browser.");
+                    line_login._emit("state_mismatch", {request: request, reason: "binding_mismatch"});
+                    return Promise.reject(new StateMismatchError("Authorization failed. State does not match."));
+                }
+            }
+
+            // LINE redirects with error when user cancelled or authorization failed.
+            if (query.error || !code){
+                debug(`Authorization failed. ${query.error || "Code is missing."}`);
+                return Promise.reject(new AuthorizationError(query.error ? `Authorization failed. ${query.error}` : "Authorization failed.", {
+                    error: query.error,
+                    error_description: query.error_description
+                }));
+            }
+            debug("Authorization succeeded.");
+
+            const issue_started_at = Date.now();
+            let id_token_checks;
+            return line_login.issue_access_token(code, login_attempt.code_verifier).then((token_response) => {
+                line_login._emit("token_issued", {
+                    request: request,
+                    scope: token_response.scope,
+                    expires_in: token_response.expires_in,
+                    duration_ms: Date.now() - issue_started_at
+                });
+                if (!(line_login.verify_id_token_in_callback && token_response.id_token)){
+                    return token_response;
+                }
+                const verify_started_at = Date.now();
+                return line_login.id_token_verifier.verify_detailed(token_response.id_token, {
+                    nonce: login_attempt.nonce,
+                    max_age: login_attempt.max_age
+                }).then((verification) => {
+                    this._emit_id_token_verified(request, verification.claims, verify_started_at, verification.checks);
+                    token_response.id_token = verification.claims;
+                    id_token_checks = verification.checks;
+                    return token_response;
+                }, (error) => {
+                    debug("id token verification failed.");
+                    this._emit_id_token_failed(request, error, verify_started_at);
+                    return Promise.reject(error);
+                });
+            }).then((token_response) => {
+                return {
+                    channel_id: line_login.channel_id,
+                    token_response: token_response,
+                    return_to: login_attempt.return_to,
+                    friendship_status_changed: friendship_status_changed,
+                    id_token_checks: id_token_checks
+                }
+            }).then((result) => {
+                if (!line_login.build_user) return result;
+                return line_login.get_user(result.token_response).then((user) => {
+                    result.user = user;
+                    return result;
+                });
+            }).then((result) => {
+                return this.handle_friendship(req, res, result);
+            });
+        });
+    }
+
+    /**
+    Method to verify ID token and access token obtained by LIFF app and make the same result as handle_callback().
+    When access token is given, profile is always retrieved by it to know the owner, so access token has to have profile scope. Rejects with AuthorizationError if it does not or if the owner differs from sub of ID token.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {Object} credentials
+    @param {String} [credentials.id_token] - ID token obtained by liff.getIDToken().
+    @param {String} [credentials.access_token] - Access token obtained by liff.getAccessToken().
+    @param {Object} [options]
+    @param {String} [options.channel_id] - Channel id of LINE Login channel which LIFF app belongs to. Default is channel_id of LineLogin.
+    @param {Function} [options.nonce] - Function which takes request and returns expected nonce of ID token or Promise resolving it.
+    @return {Promise.<Object>} Result of login which has user. token_response has decoded id_token and verified access_token.
+    */
+    handle_liff(req, res, credentials = {}, options = {}){
+        const line_login = this.line_login;
+        const channel_id = options.channel_id || line_login.channel_id;
+
+        if (!credentials.id_token && !credentials.access_token){
+            debug("Authorization failed. ID token and access token are missing.");
+            return Promise.reject(new AuthorizationError("Authorization failed. ID token or access token is required.", {
+                error: "invalid_request"
+            }));
+        }
+
+        let token_response = {};
+        return Promise.resolve().then(() => {
+            if (!credentials.access_token) return;
+            const authenticator = new BearerAuthenticator(line_login, {
+                channel_id: channel_id,
+                cache_ttl: 0
+            });
+            return authenticator.authenticate(`Bearer ${credentials.access_token}`).then((verified) => {
+                token_response.access_token = verified.access_token;
+                token_response.scope = verified.scope;
+                token_response.expires_in = verified.expires_in;
+            });
+        }).then(() => {
+            if (!credentials.id_token) return;
+            return Promise.resolve().then(() => {
+                if (options.nonce) return options.nonce(req);
+            }).then((nonce) => {
+                const verify_started_at = Date.now();
+                return line_login.verify_id_token(credentials.id_token, {
+                    client_id: channel_id,
+                    nonce: nonce
+                }).then((claims) => {
+                    this._emit_id_token_verified(Core._request_metadata(req), claims, verify_started_at);
+                    return claims;
+                }, (error) => {
+                    this._emit_id_token_failed(Core._request_metadata(req), error, verify_started_at);
+                    return Promise.reject(error);
+                });
+            }).then((claims) => {
+                token_response.id_token = claims;
+            });
+        }).then(() => {
+            if (!token_response.access_token){
+                return line_login.get_user(token_response);
+            }
+            // Profile is retrieved to know the owner of access token even if fetch_profile is false so access token without profile scope cannot identify the user.
+            if (!(token_response.scope || "").split(" ").includes("profile")){
+                debug("Authorization failed. Access token does not have profile scope.");
+                return Promise.reject(new AuthorizationError("Authorization failed. Access token requires profile scope to identify the user.", {
+                    error: "invalid_request"
+                }));
+            }
+            return line_login.get_user_profile(token_response.access_token).then((line_profile) => {
+                // Both identify the user so that they have to be of the same user.
+                if (token_response.id_token && line_profile.userId !== token_response.id_token.sub){
+                    debug("Authorization failed. ID token and access token belong to different users.");
+                    return Promise.reject(new AuthorizationError("Authorization failed. ID token and access token belong to different users.", {
+                        error: "invalid_request"
+                    }));
+                }
+                return User.from(token_response.id_token, line_login.fetch_profile ? line_profile : {userId: line_profile.userId});
+            });
+        }).then((user) => {
+            debug("LIFF login succeeded.");
+            return {
+                channel_id: channel_id,
+                token_response: token_response,
+                user: user
+            }
+        });
+    }
+
+    /**
+    Method to retrieve friendship status if configured and run on_friend_added and on_not_friend hooks of LineLogin.
+    If a hook resolves false, handled of the result is set to true and adapters do not call success callback.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {Object} result - Result of login.
+    @return {Promise.<Object>} Result of login which has friend_flag if friendship status is retrieved.
+    */
+    handle_friendship(req, res, result){
+        const line_login = this.line_login;
+
+        return Promise.resolve().then(() => {
+            if (!(line_login.fetch_friendship_status || line_login.on_not_friend)) return;
+            return line_login.get_friendship_status(result.token_response.access_token).then((response) => {
+                result.friend_flag = response.friendFlag;
+            });
+        }).then(() => {
+            if (result.friendship_status_changed === true && result.friend_flag !== false && line_login.on_friend_added){
+                debug("User added the bot as a friend during login.");
+                return line_login.on_friend_added(result, req, res);
+            }
+            if (result.friend_flag === false && line_login.on_not_friend){
+                debug("User is not a friend of the bot.");
+                return line_login.on_not_friend(result, req, res);
+            }
+        }).then((handled) => {
+            if (handled === false) result.handled = true;
+            return result;
+        });
+    }
+
+    /**
+    Method to emit id_token_verified event.
+    @method
+    @param {Object} request - Request metadata.
+    @param {Object} claims - Decoded id token.
+    @param {Number} started_at - Time when verification started in milliseconds.
+    @param {Array.<String>} [checks] - Checks which ran in local verification.
+    */
+    _emit_id_token_verified(request, claims, started_at, checks){
+        this.line_login._emit("id_token_verified", {
+            request: request,
+            user_id: claims.sub,
+            amr: claims.amr,
+            checks: checks,
+            duration_ms: Date.now() - started_at
+        });
+    }
+
+    /**
+    Method to emit id_token_failed event.
+    @method
+    @param {Object} request - Request metadata.
+    @param {Error} error - Error of verification.
+    @param {Number} started_at - Time when verification started in milliseconds.
+    */
+    _emit_id_token_failed(request, error, started_at){
+        this.line_login._emit("id_token_failed", {
+            request: request,
+            error: error.name,
+            message: error.message,
+            check: error.check,
+            duration_ms: Date.now() - started_at
+        });
+    }
+
+    /**
+    Method to set cookie which binds login attempts to the browser. Existing value is reused so that login attempts started in multiple tabs are all valid.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response. It has to implement getHeader() and setHeader().
+    @return {String} Value of the cookie.
+    */
+    _set_binding(req, res){
+        let binding = CookieStore._parse_cookie(req.headers && req.headers.cookie)[binding_cookie];
+        if (!binding || !/^[0-9a-f]{64}$/.test(binding)){
+            binding = crypto.randomBytes(32).toString("hex");
+        }
+        let cookie = `${binding_cookie}=${binding}; Max-Age=${this.line_login.state_ttl}; Path=/; HttpOnly; SameSite=Lax`;
+        if (this.line_login.callback_url.startsWith("https:")) cookie += "; Secure";
+
+        let cookies = res.getHeader("Set-Cookie") || [];
+        if (!Array.isArray(cookies)) cookies = [cookies];
+        res.setHeader("Set-Cookie", cookies.concat(cookie));
+        return binding;
+    }
+
+    /**
+    Method to hash value saved in login attempt.
+    @method
+    @param {String} value
+    @return {String}
+    */
+    static _hash(value){
+        return crypto.createHash("sha256").update(value).digest("hex");
+    }
+
+    /**
+    Method to extract metadata of request for events. Query string is excluded since it has code and state.
+    Supports request of Express, Fastify and http module and ctx of Koa.
+    @method
+    @param {Object} req - Request.
+    @return {Object} Metadata which has method, path, ip and user_agent.
+    */
+    static _request_metadata(req){
+        req = req || {};
+        const headers = req.headers || {};
+        const socket = req.socket || (req.req && req.req.socket) || {};
+        return {
+            method: req.method,
+            path: req.path || (req.url ? req.url.split("?")[0] : undefined),
+            ip: req.ip || socket.remoteAddress,
+            user_agent: headers["user-agent"]
+        }
+    }
+}
+
+module.exports = Core;
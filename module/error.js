@@ -0,0 +1,250 @@
+"use strict";
+
+/**
+Base class of errors raised by LINE Login.
+@class
+*/
+class LineLoginError extends Error {
+    /**
+    @constructor
+    @param {String} message - Error message.
+    @param {Object} [options]
+    @param {Number} [options.status_code] - HTTP status code of LINE API response.
+    @param {String} [options.error] - Error code returned by LINE.
+    @param {String} [options.error_description] - Error description returned by LINE.
+    @param {Object} [options.request] - Context of the request which caused this error.
+    @param {String} [options.request.method] - HTTP method.
+    @param {String} [options.request.url] - URL without credentials.
+    */
+    constructor(message, options = {}){
+        super(message);
+        this.name = this.constructor.name;
+        this.status_code = options.status_code;
+        this.error = options.error;
+        this.error_description = options.error_description;
+        this.request = options.request;
+    }
+}
+
+/**
+Error raised when options of LineLogin are invalid. All the problems are set in errors and joined into message.
+@class
+*/
+class ConfigurationError extends LineLoginError {
+    /**
+    @constructor
+    @param {Array.<String>} errors - Description of each problem.
+    */
+    constructor(errors){
+        super(errors.join(" "));
+        this.errors = errors;
+    }
+}
+
+/**
+Error raised when LINE API responds with error.
+@class
+*/
+class ApiError extends LineLoginError {
+    /**
+    Method to create typed error from error response of LINE API.
+    @method
+    @param {Object} response - Response of LINE API.
+    @param {Number} response.statusCode - HTTP status code.
+    @param {String} response.statusMessage - HTTP status message.
+    @param {Object} [response.headers] - HTTP headers.
+    @param {String} [response.body] - Response body.
+    @param {Object} [request] - Context of the request.
+    @return {ApiError}
+    */
+    static from_response(response, request){
+        let body = {};
+        try {
+            body = JSON.parse(response.body) || {};
+        } catch(exception){
+            // Body is not JSON. Error code and description are left undefined.
+        }
+        const options = {
+            status_code: response.statusCode,
+            error: body.error,
+            error_description: body.error_description || body.message,
+            request: request
+        }
+        const message = response.statusMessage;
+
+        if (response.statusCode == 429){
+            let error = new RateLimitedError(message, options);
+            const retry_after = parseInt(response.headers && response.headers["retry-after"], 10);
+            if (!isNaN(retry_after)) error.retry_after = retry_after;
+            return error;
+        }
+        if (response.statusCode >= 500){
+            return new ServerError(message, options);
+        }
+        if (options.error === "invalid_grant"){
+            return new InvalidGrantError(message, options);
+        }
+        if (options.error === "invalid_client"){
+            return new InvalidClientError(message, options);
+        }
+        if (options.error === "invalid_token" || response.statusCode == 401 || /access token/i.test(options.error_description)){
+            return new InvalidTokenError(message, options);
+        }
+        if (options.error === "invalid_request"){
+            return new InvalidRequestError(message, options);
+        }
+        return new ApiError(message, options);
+    }
+}
+
+/**
+Error raised when request is malformed.
+@class
+*/
+class InvalidRequestError extends ApiError {}
+
+/**
+Error raised when authorization code or refresh token is invalid or expired. Typically user needs to login again.
+@class
+*/
+class InvalidGrantError extends ApiError {}
+
+/**
+Error raised when channel id or channel secret is invalid.
+@class
+*/
+class InvalidClientError extends ApiError {}
+
+/**
+Error raised when access token is invalid or expired.
+@class
+*/
+class InvalidTokenError extends ApiError {}
+
+/**
+Error raised when request is rate limited. Seconds to wait is set in retry_after if LINE tells.
+@class
+*/
+class RateLimitedError extends ApiError {}
+
+/**
+Error raised when LINE API has a server error.
+@class
+*/
+class ServerError extends ApiError {}
+
+/**
+Error raised when authorization by user did not complete.
+@class
+*/
+class AuthorizationError extends LineLoginError {}
+
+/**
+Error raised when state in callback does not match any login attempt.
+@class
+*/
+class StateMismatchError extends LineLoginError {}
+
+/**
+Error raised when login attempt of the state has expired.
+@class
+*/
+class StateExpiredError extends StateMismatchError {}
+
+/**
+Error raised when the state has already been used.
+@class
+*/
+class StateReusedError extends StateMismatchError {}
+
+/**
+Error raised when bearer token of the request is missing, invalid or lacks required scope. status_code is 401 or 403 and error is "invalid_request", "invalid_token" or "insufficient_scope" as defined in RFC 6750.
+@class
+*/
+class BearerAuthenticationError extends LineLoginError {}
+
+/**
+Error raised when channel of the request is not found in ChannelRegistry.
+@class
+*/
+class ChannelNotFoundError extends LineLoginError {}
+
+/**
+Error raised when LINE account or app account is already linked to another account. line_user_id and app_user_id are set to the ones of the existing link.
+@class
+*/
+class AccountLinkConflictError extends LineLoginError {
+    /**
+    @constructor
+    @param {String} message - Error message.
+    @param {Object} link - Existing link.
+    @param {String} link.line_user_id - User id of LINE.
+    @param {String} link.app_user_id - User id of the app.
+    */
+    constructor(message, link){
+        super(message);
+        this.line_user_id = link.line_user_id;
+        this.app_user_id = link.app_user_id;
+    }
+}
+
+/**
+Error raised when ID token is not valid. check is set to the name of the check which failed and checks is set to the ones which passed before it.
+@class
+*/
+class IdTokenVerificationError extends LineLoginError {}
+
+/**
+Error raised when ID token has expired.
+@class
+*/
+class IdTokenExpiredError extends IdTokenVerificationError {}
+
+/**
+Error raised when audience of ID token does not match channel id.
+@class
+*/
+class IdTokenAudienceError extends IdTokenVerificationError {}
+
+/**
+Error raised when nonce of ID token does not match.
+@class
+*/
+class IdTokenNonceError extends IdTokenVerificationError {}
+
+/**
+Error raised when auth_time of ID token is missing or older than max age.
+@class
+*/
+class IdTokenAuthTimeError extends IdTokenVerificationError {}
+
+/**
+Error raised when ID token is malformed or its signature is invalid.
+@class
+*/
+class IdTokenMalformedError extends IdTokenVerificationError {}
+
+module.exports = {
+    LineLoginError,
+    ConfigurationError,
+    ApiError,
+    InvalidRequestError,
+    InvalidGrantError,
+    InvalidClientError,
+    InvalidTokenError,
+    RateLimitedError,
+    ServerError,
+    AuthorizationError,
+    StateMismatchError,
+    StateExpiredError,
+    StateReusedError,
+    BearerAuthenticationError,
+    ChannelNotFoundError,
+    AccountLinkConflictError,
+    IdTokenVerificationError,
+    IdTokenExpiredError,
+    IdTokenAudienceError,
+    IdTokenNonceError,
+    IdTokenAuthTimeError,
+    IdTokenMalformedError
+};
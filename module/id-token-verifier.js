@@ -0,0 +1,196 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const jwt = require("jsonwebtoken");
+const secure_compare = require("secure-compare");
+const Jwks = require("./jwks");
+const {
+    IdTokenVerificationError,
+    IdTokenExpiredError,
+    IdTokenAudienceError,
+    IdTokenNonceError,
+    IdTokenAuthTimeError,
+    IdTokenMalformedError
+} = require("./error");
+
+const issuer = "https://access.line.me";
+// Checks done by jwt.verify() in this order.
+const jwt_checks = ["signature", "expiration", "audience", "issuer"];
+
+/**
+Class to verify ID token locally. HS256 tokens are verified by channel secret and ES256 tokens are verified by public key published in JWKS endpoint.
+@class
+*/
+class IdTokenVerifier {
+    /**
+    @constructor
+    @param {Object} options
+    @param {String} options.channel_id - LINE Channel Id
+    @param {String} options.channel_secret - LINE Channel secret
+    @param {Jwks} [options.jwks] - Key store of public keys to verify ES256 tokens.
+    @param {Number} [options.clock_tolerance=0] - Seconds to tolerate clock skew in checking exp, iat and auth_time.
+    @param {Number} [options.max_auth_age] - Maximum seconds elapsed since user was authenticated. auth_time is required if set.
+    */
+    constructor(options){
+        this.channel_id = options.channel_id;
+        this.channel_secret = options.channel_secret;
+        this.jwks = options.jwks || new Jwks();
+        this.clock_tolerance = options.clock_tolerance || 0;
+        this.max_auth_age = options.max_auth_age;
+    }
+
+    /**
+    Method to verify ID token and return decoded claims.
+    @method
+    @param {String} id_token - ID token.
+    @param {Object} [options] - Same as verify_detailed().
+    @return {Promise.<Object>}
+    */
+    verify(id_token, options = {}){
+        return this.verify_detailed(id_token, options).then((verification) => verification.claims);
+    }
+
+    /**
+    Method to verify ID token and return decoded claims with the checks which ran.
+    Checks are "signature", "expiration", "audience", "issuer", "issued_at", "amr", "nonce" and "auth_time". nonce is checked only when expected nonce is given and auth_time is checked only when max age is given.
+    Rejects with IdTokenVerificationError which has check that failed and checks that passed before it.
+    @method
+    @param {String} id_token - ID token.
+    @param {Object} [options]
+    @param {String} [options.nonce] - Expected nonce. Verified only when given.
+    @param {Number} [options.max_age] - Maximum seconds elapsed since user was authenticated. Overrides max_auth_age of constructor. Typically max_age of authorization request.
+    @return {Promise.<Object>} Object which has claims and checks.
+    */
+    verify_detailed(id_token, options = {}){
+        let checks = [];
+        let current = "signature";
+
+        return Promise.resolve().then(() => {
+            const decoded = jwt.decode(id_token, {complete: true});
+            if (!decoded || !decoded.header){
+                throw new IdTokenMalformedError("Id token is malformed.");
+            }
+            return this._get_key(decoded.header).then((key) => {
+                try {
+                    return jwt.verify(id_token, key, {
+                        audience: this.channel_id,
+                        issuer: issuer,
+                        algorithms: [decoded.header.alg],
+                        clockTolerance: this.clock_tolerance
+                    });
+                } catch(exception){
+                    const error = IdTokenVerifier._convert_error(exception);
+                    current = error.check || current;
+                    checks = jwt_checks.slice(0, Math.max(jwt_checks.indexOf(current), 0));
+                    throw error;
+                }
+            });
+        }).then((claims) => {
+            const now = Math.floor(Date.now() / 1000);
+
+            // jwt.verify() does not require exp.
+            if (typeof claims.exp !== "number"){
+                current = "expiration";
+                checks = ["signature"];
+                throw new IdTokenMalformedError("exp is missing.");
+            }
+            checks = jwt_checks.slice();
+
+            current = "issued_at";
+            if (typeof claims.iat !== "number" || claims.iat > now + this.clock_tolerance){
+                throw new IdTokenVerificationError("iat is invalid.");
+            }
+            checks.push(current);
+
+            current = "amr";
+            if (typeof claims.amr !== "undefined"){
+                if (!Array.isArray(claims.amr) || !claims.amr.every((amr) => typeof amr === "string")){
+                    throw new IdTokenMalformedError("amr is invalid.");
+                }
+            }
+            checks.push(current);
+
+            if (typeof options.nonce !== "undefined"){
+                current = "nonce";
+                if (typeof claims.nonce !== "string" || !secure_compare(claims.nonce, options.nonce)){
+                    throw new IdTokenNonceError("Nonce does not match.");
+                }
+                checks.push(current);
+            }
+
+            const max_age = (typeof options.max_age !== "undefined") ? options.max_age : this.max_auth_age;
+            if (typeof max_age !== "undefined"){
+                current = "auth_time";
+                if (typeof claims.auth_time !== "number"){
+                    throw new IdTokenAuthTimeError("auth_time is missing.");
+                }
+                if (claims.auth_time > now + this.clock_tolerance || now - claims.auth_time > max_age + this.clock_tolerance){
+                    throw new IdTokenAuthTimeError("User was authenticated too long ago.");
+                }
+                checks.push(current);
+            }
+
+            debug("id token verification succeeded.");
+            return {
+                claims: claims,
+                checks: checks
+            }
+        }).catch((error) => {
+            if (!(error instanceof IdTokenVerificationError)){
+                error = new IdTokenVerificationError(error.message);
+            }
+            error.check = current;
+            error.checks = checks;
+            return Promise.reject(error);
+        });
+    }
+
+    /**
+    Method to get key to verify signature depending on algorithm.
+    @method
+    @param {Object} header - Header of ID token.
+    @return {Promise.<String>}
+    */
+    _get_key(header){
+        if (header.alg === "HS256"){
+            return Promise.resolve(this.channel_secret);
+        }
+        if (header.alg === "ES256"){
+            if (!header.kid){
+                return Promise.reject(new IdTokenMalformedError("kid is missing."));
+            }
+            return this.jwks.get_key(header.kid).catch((error) => {
+                return Promise.reject(new IdTokenVerificationError(error.message));
+            });
+        }
+        return Promise.reject(new IdTokenMalformedError(`Algorithm ${header.alg} is not supported.`));
+    }
+
+    /**
+    Method to convert error thrown by jsonwebtoken into IdTokenVerificationError.
+    @method
+    @param {Error} exception - Error thrown by jwt.verify().
+    @return {IdTokenVerificationError}
+    */
+    static _convert_error(exception){
+        let error;
+        if (exception.name === "TokenExpiredError"){
+            error = new IdTokenExpiredError("Id token expired.");
+            error.check = "expiration";
+        } else if (/audience/.test(exception.message)){
+            error = new IdTokenAudienceError("Audience of id token does not match channel id.");
+            error.check = "audience";
+        } else if (/issuer/.test(exception.message)){
+            error = new IdTokenVerificationError(exception.message);
+            error.check = "issuer";
+        } else if (/signature|malformed/.test(exception.message)){
+            error = new IdTokenMalformedError(`Id token is malformed. ${exception.message}`);
+            error.check = "signature";
+        } else {
+            error = new IdTokenVerificationError(exception.message);
+        }
+        return error;
+    }
+}
+
+module.exports = IdTokenVerifier;
@@ -0,0 +1,161 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const crypto = require("crypto");
+const { ApiError } = require("./error");
+const Transport = require("./transport");
+const api_version = "v2.1";
+// DER encoded SubjectPublicKeyInfo of P-256 public key which precedes uncompressed point.
+const p256_spki_prefix = Buffer.from("3059301306072a8648ce3d020106082a8648ce3d030107034200", "hex");
+
+/**
+Class to fetch and cache public keys of LINE Login published in JWKS endpoint.
+@class
+*/
+class Jwks {
+    /**
+    @constructor
+    @param {Object} [options]
+    @param {String} [options.url="https://api.line.me/oauth2/v2.1/certs"] - URL of JWKS endpoint.
+    @param {Object} [options.transport] - HTTP transport used by default fetcher.
+    @param {Function} [options.fetcher] - Function which returns Promise resolving JWKS object. Default fetches JWKS endpoint of LINE Login.
+    @param {Number} [options.cache_ttl=86400] - Time to cache keys in seconds.
+    @param {Number} [options.refetch_interval=60] - Minimum interval in seconds to refetch keys when unknown kid is found.
+    */
+    constructor(options = {}){
+        this.url = options.url || `https://api.line.me/oauth2/${api_version}/certs`;
+        this.transport = options.transport || new Transport();
+        this.fetcher = options.fetcher || (() => this._fetch());
+        this.cache_ttl = options.cache_ttl || 86400;
+        this.refetch_interval = (typeof options.refetch_interval === "undefined") ? 60 : options.refetch_interval;
+        this.keys = {};
+        this.import_errors = {};
+        this.fetched_at = null;
+        this.fetching = null;
+    }
+
+    /**
+    Method to get public key in PEM format by key id. Keys are refetched when cache has expired or kid is unknown so that key rotation is handled.
+    @method
+    @param {String} kid - Key id in header of JWT.
+    @return {Promise.<String>}
+    */
+    get_key(kid){
+        const now = Date.now();
+        const expired = !this.fetched_at || now - this.fetched_at > this.cache_ttl * 1000;
+        const unknown = !Object.prototype.hasOwnProperty.call(this.keys, kid);
+        const refetchable = !this.fetched_at || now - this.fetched_at >= this.refetch_interval * 1000;
+
+        let ready;
+        if (expired || (unknown && refetchable)){
+            ready = this.refresh();
+        } else {
+            ready = Promise.resolve();
+        }
+        return ready.then(() => {
+            if (Object.prototype.hasOwnProperty.call(this.import_errors, kid)){
+                return Promise.reject(new Error(`Public key for kid ${kid} cannot be imported. ${this.import_errors[kid]}`));
+            }
+            if (!Object.prototype.hasOwnProperty.call(this.keys, kid)){
+                return Promise.reject(new Error(`Public key for kid ${kid} is not found.`));
+            }
+            return this.keys[kid];
+        });
+    }
+
+    /**
+    Method to fetch keys and replace cache. Concurrent calls share one fetch.
+    @method
+    @return {Promise}
+    */
+    refresh(){
+        if (this.fetching) return this.fetching;
+
+        this.fetching = Promise.resolve().then(() => {
+            return this.fetcher();
+        }).then((jwks) => {
+            if (!jwks || !Array.isArray(jwks.keys)){
+                throw new Error("JWKS is malformed.");
+            }
+            let keys = {};
+            let import_errors = {};
+            jwks.keys.map((jwk) => {
+                try {
+                    keys[jwk.kid] = Jwks._to_pem(jwk);
+                } catch(exception){
+                    debug(`Failed to import key ${jwk.kid}. ${exception.message}`);
+                    import_errors[jwk.kid] = exception.message;
+                }
+            });
+            this.keys = keys;
+            this.import_errors = import_errors;
+            this.fetched_at = Date.now();
+            this.fetching = null;
+        }).catch((error) => {
+            this.fetching = null;
+            return Promise.reject(error);
+        });
+        return this.fetching;
+    }
+
+    /**
+    Method to convert EC P-256 public key in JWK format into PEM. Converted by hand since crypto module supports JWK only in Node.js 15.12.0 and later.
+    @method
+    @param {Object} jwk - Public key in JWK format.
+    @return {String}
+    */
+    static _to_pem(jwk){
+        if (jwk.kty !== "EC" || jwk.crv !== "P-256"){
+            throw new Error(`Key type ${[jwk.kty, jwk.crv].filter((param) => param).join(" ")} is not supported. Only EC P-256 is supported.`);
+        }
+        // Buffer decodes base64url as well as base64.
+        const x = Buffer.from(jwk.x || "", "base64");
+        const y = Buffer.from(jwk.y || "", "base64");
+        if (x.length !== 32 || y.length !== 32){
+            throw new Error("Coordinates of the key are invalid.");
+        }
+        const der = Buffer.concat([p256_spki_prefix, Buffer.from([4]), x, y]);
+        const pem = `-----BEGIN PUBLIC KEY-----\n${der.toString("base64").match(/.{1,64}/g).join("\n")}\n-----END PUBLIC KEY-----\n`;
+        // Throws if the point is not on the curve. createPublicKey() is available in Node.js 11.6.0 and later.
+        if (crypto.createPublicKey) crypto.createPublicKey(pem);
+        return pem;
+    }
+
+    /**
+    Method to convert EC P-256 public key into JWK format. Counterpart of _to_pem().
+    @method
+    @param {KeyObject} public_key - Public key.
+    @return {Object}
+    */
+    static _to_jwk(public_key){
+        const der = public_key.export({type: "spki", format: "der"});
+        const point = der.slice(p256_spki_prefix.length + 1);
+        const base64url = (buffer) => buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+        return {
+            kty: "EC",
+            crv: "P-256",
+            x: base64url(point.slice(0, 32)),
+            y: base64url(point.slice(32, 64))
+        }
+    }
+
+    /**
+    Method to fetch JWKS from LINE Login.
+    @method
+    @return {Promise.<Object>}
+    */
+    _fetch(){
+        const url = this.url;
+        return this.transport.request({
+            method: "GET",
+            url: url
+        }).then((response) => {
+            if (response.statusCode == 200){
+                return JSON.parse(response.body);
+            }
+            return Promise.reject(ApiError.from_response(response, {method: "GET", url: url}));
+        });
+    }
+}
+
+module.exports = Jwks;
@@ -1,48 +1,106 @@
 "use strict";
 
 const debug = require("debug")("line-login:module");
-const request = require("request");
-const jwt = require("jsonwebtoken");
-const secure_compare = require("secure-compare");
 const crypto = require("crypto");
+const EventEmitter = require("events");
+const { URL } = require("url");
+const SessionStore = require("./store/session");
+const Jwks = require("./jwks");
+const IdTokenVerifier = require("./id-token-verifier");
+const TokenManager = require("./token-manager");
+const User = require("./user");
+const Core = require("./core");
+const Transport = require("./transport");
+const ExpressAdapter = require("./adapter/express");
+const {
+    ConfigurationError,
+    ApiError,
+    IdTokenVerificationError,
+    IdTokenExpiredError,
+    IdTokenAudienceError,
+    IdTokenNonceError,
+    IdTokenMalformedError
+} = require("./error");
 const api_version = "v2.1";
-
-let Promise = require("bluebird");
-Promise.promisifyAll(request);
+const auth_params = ["scope", "prompt", "bot_prompt", "ui_locales", "max_age", "initial_amr_display", "disable_auto_login", "code_challenge"];
+const supported_values = {
+    scope: ["profile", "openid", "email"],
+    prompt: ["consent", "none"],
+    bot_prompt: ["normal", "aggressive"],
+    initial_amr_display: ["lineqr"]
+};
+// Schema of options of constructor. Options of string, number, boolean and array type can be set by LINE_LOGIN_* environment variables.
+const option_schema = {
+    channel_id: {required: true, type: ["string", "number"]},
+    channel_secret: {required: true, type: "string"},
+    callback_url: {required: true, type: "string", validate: (value) => LineLogin._validate_callback_url(value)},
+    scope: {type: "string", values: supported_values.scope, multiple: true},
+    prompt: {type: "string", values: supported_values.prompt},
+    bot_prompt: {type: "string", values: supported_values.bot_prompt},
+    session_options: {type: "object", deprecated: "session_options is not used and ignored. Mount express-session middleware with your options."},
+    verify_id_token: {type: "boolean"},
+    clock_tolerance: {type: "number", validate: (value) => LineLogin._validate_seconds("clock_tolerance", value)},
+    max_auth_age: {type: "number", validate: (value) => LineLogin._validate_seconds("max_auth_age", value)},
+    pkce: {type: "boolean"},
+    state_ttl: {type: "number", validate: (value) => LineLogin._validate_seconds("state_ttl", value)},
+    state_binding: {type: "boolean"},
+    store: {type: "object", methods: ["get", "set", "delete"]},
+    jwks_fetcher: {type: "function"},
+    transport: {type: "object", methods: ["request"]},
+    allowed_return_to: {type: "array", validate: (value) => LineLogin._validate_allowed_return_to(value)},
+    build_user: {type: "boolean"},
+    fetch_profile: {type: "boolean"},
+    login_session: {type: "boolean"},
+    fetch_friendship_status: {type: "boolean"},
+    on_friend_added: {type: "function"},
+    on_not_friend: {type: "function"},
+    endpoint: {type: "string"}
+};
 
 /**
+LINE Login. It emits following events for auditing. Each event has event, channel_id and timestamp. Events of login flow also have request which has method, path, ip and user_agent.
+- authorization_started - User is redirected to authorization endpoint. Has scope, pkce and return_to.
+- callback_received - Callback is received. Has error and friendship_status_changed.
+- state_mismatch - State of callback is missing, does not match or cannot be used. Has reason which is "missing", "not_found", "channel_mismatch", "reused", "expired" or "binding_mismatch".
+- token_issued - Access token is issued. Has scope, expires_in and duration_ms.
+- id_token_verified - ID token is verified. Has user_id, amr and duration_ms.
+- id_token_failed - ID token verification failed. Has error, message and duration_ms.
+- token_refreshed - Access token is refreshed. Has scope, expires_in and duration_ms.
+- token_revoked - Access token is revoked. Has duration_ms.
 @class
 */
-class LineLogin {
+class LineLogin extends EventEmitter {
     /**
     @constructor
     @param {Object} options
     @param {String} options.channel_id - LINE Channel Id
     @param {String} options.channel_secret - LINE Channel secret
-    @param {String} options.callback_url - LINE Callback URL
+    @param {String} options.callback_url - LINE Callback URL. It has to be absolute https URL except for localhost.
     @param {String} [options.scope="profile openid"] - Permission to ask user to approve. Supported values are "profile", "openid" and "email". To specify email, you need to request approval to LINE.
-    @param {String} [options.prompt] - Used to force the consent screen to be displayed even if the user has already granted all requested permissions. Supported value is "concent".
+    @param {String} [options.prompt] - Used to force the consent screen to be displayed even if the user has already granted all requested permissions. Supported values are "consent" and "none".
     @param {String} [options.bot_prompt="normal"] - Displays an option to add a bot as a friend during login. Set value to either normal or aggressive. Supported values are "normal" and "aggressive".
     @param {Boolean} [options.verify_id_token=true] - Used to verify id token in token response. Default is true.
-    @param {String} [options.endpoint="line.me"] - Test purpose only. Change API endpoint hostname.
+    @param {Number} [options.clock_tolerance=0] - Seconds to tolerate clock skew in verifying exp, iat and auth_time of id token.
+    @param {Number} [options.max_auth_age] - Maximum seconds elapsed since user was authenticated. auth_time of id token is required if set. max_age of authorization request takes precedence.
+    @param {Boolean} [options.pkce=false] - Use PKCE (Proof Key for Code Exchange) with S256 code challenge method. Default is false.
+    @param {Function} [options.jwks_fetcher] - Function which returns Promise resolving JWKS object used to verify ES256 id token. Default fetches JWKS endpoint of LINE Login.
+    @param {Array.<String>} [options.allowed_return_to=["/"]] - Allowed destinations after login. Origin or URL prefix like "https://app.example.com/mypage/" and path prefix like "/mypage/" are supported. Default allows any relative path of this app.
+    @param {Object} [options.transport] - HTTP transport to call LINE API. It has to implement request(options) which returns Promise resolving object with statusCode, statusMessage, headers and body. Default is Transport which uses built-in https module.
+    @param {Number} [options.state_ttl=600] - Seconds the state of login attempt is valid. Callback after this fails with StateExpiredError. TTL of store should be longer than this to tell expired state from unknown one. Default store keeps login attempts for twice of this.
+    @param {Boolean} [options.state_binding=false] - Bind state to the browser which started login by random cookie. Callback from other browser fails with StateMismatchError.
+    @param {Object} [options.store] - Store to save state, nonce and code verifier of each login attempt. It has to implement get(req, key), set(req, res, key, value) and delete(req, res, key) which return Promise. Default is SessionStore which requires express-session.
+    @param {Boolean} [options.build_user=false] - Make normalized User from id token and profile in callback and expose it as user of the result.
+    @param {Boolean} [options.fetch_profile=true] - Retrieve profile to make User. Profile is retrieved only if profile scope is granted.
+    @param {Boolean} [options.login_session=false] - Save User and tokens in session in callback() so that require_login(), current_user() and logout() work. Requires express-session.
+    @param {Boolean} [options.fetch_friendship_status=false] - Retrieve friendship status with the bot in callback and expose it as friend_flag of the result. Requires profile scope.
+    @param {Function} [options.on_friend_added] - Function called with result, req and res when user added the bot as a friend during login. May return Promise. If it returns or resolves false, success callback is not called so it can respond by itself.
+    @param {Function} [options.on_not_friend] - Function called with result, req and res when user is not a friend of the bot. Friendship status is retrieved if this is set. May return Promise. If it returns or resolves false, success callback is not called so it can respond by itself. e.g. Redirect to the page to add the bot.
+    @param {String} [options.endpoint="line.me"] - Test purpose only. Change API endpoint hostname. If URL like "http://localhost:3000" is given, it is used as the base URL of both authorization endpoint and API. e.g. URL of MockServer.
+    @throws {ConfigurationError} Thrown with all the problems if options are invalid.
     */
     constructor(options){
-        const required_params = ["channel_id", "channel_secret", "callback_url"];
-        const optional_params = ["scope", "prompt", "bot_prompt", "session_options", "verify_id_token", "endpoint"];
-
-        // Check if required parameters are all set.
-        required_params.map((param) => {
-            if (!options[param]){
-                throw new Error(`Required parameter ${param} is missing.`);
-            }
-        })
-
-        // Check if configured parameters are all valid.
-        Object.keys(options).map((param) => {
-            if (!required_params.includes(param) && !optional_params.includes(param)){
-                throw new Error(`${param} is not a valid parameter.`);
-            }
-        })
+        super();
+        LineLogin._validate_options(options);
 
         this.channel_id = options.channel_id;
         this.channel_secret = options.channel_secret;
@@ -50,104 +108,171 @@ class LineLogin {
         this.scope = options.scope || "profile openid";
         this.prompt = options.prompt;
         this.bot_prompt = options.bot_prompt || "normal";
+        // Saved in different name since verify_id_token is the name of method.
         if (typeof options.verify_id_token === "undefined"){
-            this.verify_id_token = true;
+            this.verify_id_token_in_callback = true;
         } else {
-            this.verify_id_token = options.verify_id_token;
+            this.verify_id_token_in_callback = options.verify_id_token;
         }
+        this.pkce = options.pkce || false;
+        this.state_ttl = (typeof options.state_ttl === "undefined") ? 600 : options.state_ttl;
+        this.state_binding = options.state_binding || false;
+        // Kept longer than state_ttl so that expired state is told from unknown one.
+        this.store = options.store || new SessionStore({ttl: this.state_ttl * 2});
         this.endpoint = options.endpoint || "line.me";
+        this.transport = options.transport || new Transport();
+        this.allowed_return_to = options.allowed_return_to || ["/"];
+        this.build_user = options.build_user || false;
+        this.fetch_profile = (typeof options.fetch_profile === "undefined") ? true : options.fetch_profile;
+        this.login_session = options.login_session || false;
+        this.fetch_friendship_status = options.fetch_friendship_status || false;
+        this.on_friend_added = options.on_friend_added;
+        this.on_not_friend = options.on_not_friend;
+        this.id_token_verifier = new IdTokenVerifier({
+            channel_id: this.channel_id,
+            channel_secret: this.channel_secret,
+            clock_tolerance: options.clock_tolerance,
+            max_auth_age: options.max_auth_age,
+            jwks: new Jwks({
+                url: this._url("api", `/oauth2/${api_version}/certs`),
+                transport: this.transport,
+                fetcher: options.jwks_fetcher
+            })
+        });
+        this.core = new Core(this);
     }
 
     /**
     Middlware to initiate OAuth2 flow by redirecting user to LINE authorization endpoint.
     Mount this middleware to the path you like to initiate authorization.
     @method
+    @param {Object} [options] - Options of authorization request for this route. Same as options of make_auth_url() except for code_challenge.
+    @param {String} [options.return_to] - URL or path to return after login. If omitted, return_to query parameter is used. It is exposed as return_to of the result passed to success callback if allowed by allowed_return_to.
     @return {Function}
     */
-    auth(){
-        return (req, res, next) => {
-            let state = req.session.line_login_state = LineLogin._random();
-            let nonce = req.session.line_login_nonce = LineLogin._random();
-            let url = this.make_auth_url(state, nonce);
-            return res.redirect(url);
-        }
+    auth(options){
+        return new ExpressAdapter(this).auth(options);
     }
 
     /**
     Middleware to handle callback after authorization.
     Mount this middleware to the path corresponding to the value of Callback URL in LINE Developers Console.
+    When user cancelled or authorization failed, failure callback receives AuthorizationError whose error and error_description are set to the values LINE redirected with. e.g. "access_denied".
     @method
-    @param {Function} s - Callback function on success.
+    @param {Function} s - Callback function on success. Called with req, res, next, token_response and result which has return_to, friendship_status_changed, friend_flag and user.
     @param {Function} f - Callback function on failure.
     */
     callback(s, f){
-        return (req, res, next) => {
-            const f_ = (error) => {
-                if (f) f(req, res, next, error);
-                else throw error;
-            };
-            const code = req.query.code;
-            const state = req.query.state;
-            const friendship_status_changed = req.query.friendship_status_changed;
-
-            if (!code){
-                debug("Authorization failed.");
-                return f_(new Error("Authorization failed."));
-            }
-            if (!secure_compare(req.session.line_login_state, state)){
-                debug("Authorization failed. State does not match.");
-                return f_(new Error("Authorization failed. State does not match."));
-            }
-            debug("Authorization succeeded.");
-
-            this.issue_access_token(code).then((token_response) => {
-                if (this.verify_id_token && token_response.id_token){
-                    let decoded_id_token;
-                    try {
-                        decoded_id_token = jwt.verify(
-                            token_response.id_token,
-                            this.channel_secret,
-                            {
-                                audience: this.channel_id,
-                                issuer: "https://access.line.me",
-                                algorithms: ["HS256"]
-                            }
-                        );
-                        if (!secure_compare(decoded_id_token.nonce, req.session.line_login_nonce)){
-                            throw new Error("Nonce does not match.");
-                        }
-                        debug("id token verification succeeded.");
-                        token_response.id_token = decoded_id_token;
-                    } catch(exception) {
-                        debug("id token verification failed.");
-                        f_(new Error("Verification of id token failed."));
-                    }
-                }
-                delete req.session.line_login_state;
-                delete req.session.line_login_nonce;
-                s(req, res, next, token_response);
-            }).catch((error) => {
-                debug(error);
-                f_(error);
-            });
-        }
+        return new ExpressAdapter(this).callback(s, f);
+    }
+
+    /**
+    Method to handle callback after authorization in async route handler instead of callback().
+    It verifies state, retrieves access token, verifies id token and saves login session if login_session is true.
+    @method
+    @param {Object} req - Request of Express.
+    @param {Object} [res] - Response of Express. Default is req.res.
+    @return {Promise.<Object>} Result of login which has token_response, return_to, friendship_status_changed, friend_flag and user. Rejects with LineLoginError such as AuthorizationError, StateMismatchError and IdTokenVerificationError. If on_friend_added or on_not_friend hook returned false, handled of the result is true.
+    */
+    handle_callback(req, res){
+        return new ExpressAdapter(this).handle_callback(req, res);
+    }
+
+    /**
+    Middleware to let only logged in user pass. User who has not logged in is redirected to authorization endpoint and returns to the requested URL after login.
+    Logged in user is available as req.line_user. Requires login_session option.
+    @method
+    @param {Object} [options] - Options of authorization request. Same as options of auth().
+    @param {String} [options.login_path] - Path to redirect user who has not logged in instead of starting authorization. Requested URL is added as return_to query parameter.
+    @return {Function}
+    */
+    require_login(options){
+        return new ExpressAdapter(this).require_login(options);
+    }
+
+    /**
+    Middleware to set req.line_user which is User of logged in user or null. Requires login_session option.
+    @method
+    @return {Function}
+    */
+    current_user(){
+        return new ExpressAdapter(this).current_user();
+    }
+
+    /**
+    Middleware to revoke access token, delete login session and redirect.
+    @method
+    @param {Object} [options]
+    @param {String} [options.redirect="/"] - URL to redirect after logout.
+    @param {Boolean} [options.destroy_session=false] - Destroy whole session instead of deleting login session only.
+    @return {Function}
+    */
+    logout(options){
+        return new ExpressAdapter(this).logout(options);
+    }
+
+    /**
+    Middleware to establish login from ID token or access token which LIFF app obtained by liff.getIDToken() and liff.getAccessToken().
+    They are read from id_token and access_token of request body. Access token is also read from Authorization header. Body has to be parsed beforehand. e.g. express.json()
+    ID token is verified by verify_id_token() and access token is verified in the same way as authenticate_bearer(). Result has User and login session is saved if login_session is true so LIFF and web login share the same identity.
+    @method
+    @param {Function} s - Callback function on success. Called with req, res, next, token_response and result which has user.
+    @param {Function} [f] - Callback function on failure. Called with req, res, next and error. If omitted, error is passed to next().
+    @param {Object} [options]
+    @param {String} [options.channel_id] - Channel id of LINE Login channel which LIFF app belongs to. Default is channel_id.
+    @param {Function} [options.nonce] - Function which takes request and returns expected nonce of ID token or Promise resolving it.
+    @return {Function}
+    */
+    liff_login(s, f, options){
+        return new ExpressAdapter(this).liff_login(s, f, options);
+    }
+
+    /**
+    Middleware to authenticate access token sent in Authorization header by frontends such as SPA and LIFF app.
+    Access token is verified by verify_access_token() and it has to be issued for this channel, not expired and have required scopes.
+    Verified access token is set to req.line_access_token and User is set to req.line_user if fetch_profile is true. Otherwise it responds 401 or 403.
+    @method
+    @param {Object} [options]
+    @param {String|Array.<String>} [options.scope] - Scopes which access token has to have.
+    @param {Boolean} [options.fetch_profile=false] - Retrieve profile and set User to req.line_user.
+    @param {Number} [options.cache_ttl=300] - Time to cache verified access token in seconds. Set 0 to disable cache.
+    @return {Function}
+    */
+    authenticate_bearer(options){
+        return new ExpressAdapter(this).authenticate_bearer(options);
     }
 
     /**
     Method to make authorization URL
     @method
+    @param {String} state - A unique alphanumeric string used to prevent cross-site request forgery.
     @param {String} [nonce] - A string used to prevent replay attacks. This value is returned in an ID token.
+    @param {Object} [options]
+    @param {String} [options.scope] - Overrides scope of constructor.
+    @param {String} [options.prompt] - Overrides prompt of constructor. Supported values are "consent" and "none".
+    @param {String} [options.bot_prompt] - Overrides bot_prompt of constructor. Supported values are "normal" and "aggressive".
+    @param {String} [options.ui_locales] - Display language of LINE Login screens. Space separated language tags. e.g. "ja-JP en-US"
+    @param {Number} [options.max_age] - Allowable elapsed time in seconds since the last time user was authenticated.
+    @param {String} [options.initial_amr_display] - Displays login with QR code first if "lineqr" is set.
+    @param {Boolean} [options.disable_auto_login] - Disables auto login if true.
+    @param {String} [options.code_challenge] - Code challenge derived from code verifier. Used in PKCE. Code challenge method is always S256.
     @return {String}
     */
-    make_auth_url(state, nonce){
+    make_auth_url(state, nonce, options = {}){
+        LineLogin._validate_auth_options(options);
         const client_id = encodeURIComponent(this.channel_id);
         const redirect_uri = encodeURIComponent(this.callback_url);
-        const scope = encodeURIComponent(this.scope);
-        const prompt = encodeURIComponent(this.prompt);
-        const bot_prompt = encodeURIComponent(this.bot_prompt);
-        let url = `https://access.${this.endpoint}/oauth2/${api_version}/authorize?response_type=code&client_id=${client_id}&redirect_uri=${redirect_uri}&scope=${scope}&bot_prompt=${bot_prompt}&state=${state}`;
-        if (this.prompt) url += `&prompt=${encodeURIComponent(this.prompt)}`;
+        const scope = encodeURIComponent(options.scope || this.scope);
+        const prompt = options.prompt || this.prompt;
+        const bot_prompt = encodeURIComponent(options.bot_prompt || this.bot_prompt);
+        let url = this._url("access", `/oauth2/${api_version}/authorize?response_type=code&client_id=${client_id}&redirect_uri=${redirect_uri}&scope=${scope}&bot_prompt=${bot_prompt}&state=${state}`);
+        if (prompt) url += `&prompt=${encodeURIComponent(prompt)}`;
         if (nonce) url += `&nonce=${encodeURIComponent(nonce)}`;
+        if (options.ui_locales) url += `&ui_locales=${encodeURIComponent(options.ui_locales)}`;
+        if (typeof options.max_age !== "undefined") url += `&max_age=${options.max_age}`;
+        if (options.initial_amr_display) url += `&initial_amr_display=${encodeURIComponent(options.initial_amr_display)}`;
+        if (options.disable_auto_login) url += `&disable_auto_login=true`;
+        if (options.code_challenge) url += `&code_challenge=${encodeURIComponent(options.code_challenge)}&code_challenge_method=S256`;
         return url
     }
 
@@ -155,10 +280,11 @@ class LineLogin {
     Method to retrieve access token using authorization code.
     @method
     @param {String} code - Authorization code
+    @param {String} [code_verifier] - Code verifier used to generate code challenge. Required when PKCE is used.
     @return {Object}
     */
-    issue_access_token(code){
-        const url = `https://api.${this.endpoint}/oauth2/${api_version}/token`;
+    issue_access_token(code, code_verifier){
+        const url = this._url("api", `/oauth2/${api_version}/token`);
         const form = {
             grant_type: "authorization_code",
             code: code,
@@ -166,14 +292,16 @@ class LineLogin {
             client_id: this.channel_id,
             client_secret: this.channel_secret
         }
-        return request.postAsync({
+        if (code_verifier) form.code_verifier = code_verifier;
+        return this.transport.request({
+            method: "POST",
             url: url,
             form: form
         }).then((response) => {
             if (response.statusCode == 200){
                 return JSON.parse(response.body);
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "POST", url: url}));
         });
     }
 
@@ -184,14 +312,50 @@ class LineLogin {
     @return {Object}
     */
     verify_access_token(access_token){
-        const url = `https://api.${this.endpoint}/oauth2/${api_version}/verify?access_token=${encodeURIComponent(access_token)}`;
-        return request.getAsync({
+        const url = this._url("api", `/oauth2/${api_version}/verify?access_token=${encodeURIComponent(access_token)}`);
+        return this.transport.request({
+            method: "GET",
             url: url
         }).then((response) => {
             if (response.statusCode == 200){
                 return JSON.parse(response.body);
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "GET", url: url.split("?")[0]}));
+        });
+    }
+
+    /**
+    Method to verify the ID token by LINE Login server and get decoded claims.
+    @method
+    @param {String} id_token - ID token.
+    @param {Object} [options]
+    @param {String} [options.nonce] - Expected nonce. Verified by LINE Login server when given.
+    @param {String} [options.user_id] - Expected user id. Verified by LINE Login server when given.
+    @param {String} [options.client_id] - Expected audience. Default is channel_id. Set channel id of LIFF app if it is different.
+    @return {Object}
+    */
+    verify_id_token(id_token, options = {}){
+        const url = this._url("api", `/oauth2/${api_version}/verify`);
+        let form = {
+            id_token: id_token,
+            client_id: options.client_id || this.channel_id
+        }
+        if (options.nonce) form.nonce = options.nonce;
+        if (options.user_id) form.user_id = options.user_id;
+        return this.transport.request({
+            method: "POST",
+            url: url,
+            form: form,
+            retry: true
+        }).then((response) => {
+            if (response.statusCode == 200){
+                return JSON.parse(response.body);
+            }
+            const error = ApiError.from_response(response, {method: "POST", url: url});
+            if (response.statusCode == 400){
+                return Promise.reject(LineLogin._id_token_verification_error(error));
+            }
+            return Promise.reject(error);
         });
     }
 
@@ -202,21 +366,29 @@ class LineLogin {
     @return {Object}
     */
     refresh_access_token(refresh_token){
-        const url = `https://api.${this.endpoint}/oauth2/${api_version}/token`;
+        const url = this._url("api", `/oauth2/${api_version}/token`);
         const form = {
             grant_type: "refresh_token",
             refresh_token: refresh_token,
             client_id: this.channel_id,
             client_secret: this.channel_secret
         }
-        return request.postAsync({
+        const started_at = Date.now();
+        return this.transport.request({
+            method: "POST",
             url: url,
             form: form
         }).then((response) => {
             if (response.statusCode == 200){
-                return JSON.parse(response.body);
+                const token_response = JSON.parse(response.body);
+                this._emit("token_refreshed", {
+                    scope: token_response.scope,
+                    expires_in: token_response.expires_in,
+                    duration_ms: Date.now() - started_at
+                });
+                return token_response;
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "POST", url: url}));
         });
     }
 
@@ -227,20 +399,26 @@ class LineLogin {
     @return {Null}
     */
     revoke_access_token(access_token){
-        const url = `https://api.${this.endpoint}/oauth2/${api_version}/revoke`;
+        const url = this._url("api", `/oauth2/${api_version}/revoke`);
         const form = {
             access_token: access_token,
             client_id: this.channel_id,
             client_secret: this.channel_secret
         }
-        return request.postAsync({
+        const started_at = Date.now();
+        return this.transport.request({
+            method: "POST",
             url: url,
-            form: form
+            form: form,
+            retry: true
         }).then((response) => {
             if (response.statusCode == 200){
+                this._emit("token_revoked", {
+                    duration_ms: Date.now() - started_at
+                });
                 return null;
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "POST", url: url}));
         });
     }
 
@@ -251,18 +429,59 @@ class LineLogin {
     @return {Object}
     */
     get_user_profile(access_token){
-        const url = `https://api.${this.endpoint}/v2/profile`;
+        const url = this._url("api", `/v2/profile`);
         const headers = {
             Authorization: "Bearer " + access_token
         }
-        return request.getAsync({
+        return this.transport.request({
+            method: "GET",
             url: url,
             headers: headers
         }).then((response) => {
             if (response.statusCode == 200){
                 return JSON.parse(response.body);
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "GET", url: url}));
+        });
+    }
+
+    /**
+    Method to emit event for auditing. Exception thrown by listener is ignored so that it does not break login flow.
+    @method
+    @param {String} event - Name of the event.
+    @param {Object} [payload] - Payload of the event.
+    */
+    _emit(event, payload){
+        try {
+            this.emit(event, Object.assign({
+                event: event,
+                channel_id: this.channel_id,
+                timestamp: Date.now()
+            }, payload));
+        } catch(exception){
+            debug(`Listener of ${event} threw exception. ${exception.message}`);
+        }
+    }
+
+    /**
+    Method to make normalized User from token response. Profile is retrieved if fetch_profile is true, access token is available and profile scope is granted.
+    @method
+    @param {Object} token_response - Token response. id_token has to be decoded to use its claims.
+    @return {Promise.<User>}
+    */
+    get_user(token_response){
+        const claims = (typeof token_response.id_token === "object") ? token_response.id_token : {};
+        const granted_scope = (token_response.scope || this.scope).split(" ");
+
+        let fetched;
+        if (this.fetch_profile && token_response.access_token && granted_scope.includes("profile")){
+            fetched = this.get_user_profile(token_response.access_token);
+        } else {
+            debug("Profile is not retrieved.");
+            fetched = Promise.resolve(null);
+        }
+        return fetched.then((line_profile) => {
+            return User.from(claims, line_profile);
         });
     }
 
@@ -273,19 +492,265 @@ class LineLogin {
     @return {Object}
     */
     get_friendship_status(access_token){
-        const url = `https://api.${this.endpoint}/friendship/v1/status`;
+        const url = this._url("api", `/friendship/v1/status`);
         const headers = {
             Authorization: "Bearer " + access_token
         }
-        return request.getAsync({
+        return this.transport.request({
+            method: "GET",
             url: url,
             headers: headers
         }).then((response) => {
             if (response.statusCode == 200){
                 return JSON.parse(response.body);
             }
-            return Promise.reject(new Error(response.statusMessage));
+            return Promise.reject(ApiError.from_response(response, {method: "GET", url: url}));
+        });
+    }
+
+    /**
+    Method to make URL of LINE Login.
+    @method
+    @param {String} subdomain - Subdomain of the endpoint. "access" or "api".
+    @param {String} path - Path and query string.
+    @return {String}
+    */
+    _url(subdomain, path){
+        if (/^https?:\/\//.test(this.endpoint)){
+            return this.endpoint.replace(/\/$/, "") + path;
+        }
+        return `https://${subdomain}.${this.endpoint}${path}`;
+    }
+
+    /**
+    Method to convert error response of ID token verify endpoint into IdTokenVerificationError.
+    @method
+    @param {ApiError} error - Error created from the response.
+    @return {IdTokenVerificationError}
+    */
+    static _id_token_verification_error(error){
+        const description = error.error_description || "";
+        const options = {
+            status_code: error.status_code,
+            error: error.error,
+            error_description: error.error_description,
+            request: error.request
+        }
+        if (/expired/i.test(description)){
+            return new IdTokenExpiredError("Id token expired.", options);
+        }
+        if (/audience/i.test(description)){
+            return new IdTokenAudienceError("Audience of id token does not match channel id.", options);
+        }
+        if (/nonce/i.test(description)){
+            return new IdTokenNonceError("Nonce does not match.", options);
+        }
+        if (/^Invalid IdToken\.?$/i.test(description) || /malformed/i.test(description)){
+            return new IdTokenMalformedError("Id token is malformed.", options);
+        }
+        return new IdTokenVerificationError(`Verification of id token failed. ${description}`.trim(), options);
+    }
+
+    /**
+    Method to create token manager which refreshes access token before it expires.
+    @method
+    @param {Object} token_response - Token response of issue_access_token() or the one passed to success callback of callback().
+    @param {Object} [options]
+    @param {Number} [options.refresh_margin=300] - Seconds before expiry to refresh access token.
+    @param {Object} [options.store] - Store to persist token set when refreshed. It has to implement get(key) and set(key, token_set) which return Promise.
+    @param {String} [options.key] - Key to persist token set in store. Required when store is set.
+    @return {TokenManager}
+    */
+    create_token_manager(token_response, options){
+        return new TokenManager(this, token_response, options);
+    }
+
+    /**
+    Method to validate options of authorization request. Throws error if invalid.
+    @method
+    @param {Object} options - Options of make_auth_url().
+    */
+    static _validate_auth_options(options){
+        Object.keys(options).map((param) => {
+            if (!auth_params.includes(param)){
+                throw new Error(`${param} is not a valid parameter of authorization request.`);
+            }
+        });
+        if (typeof options.scope !== "undefined"){
+            if (typeof options.scope !== "string" || options.scope.trim() === ""){
+                throw new Error(`Invalid value for scope: ${options.scope}.`);
+            }
+            options.scope.trim().split(/\s+/).map((scope) => {
+                if (!supported_values.scope.includes(scope)){
+                    throw new Error(`Invalid value for scope: ${scope}. Supported values are ${supported_values.scope.join(", ")}.`);
+                }
+            });
+        }
+        ["prompt", "bot_prompt", "initial_amr_display"].map((param) => {
+            if (typeof options[param] !== "undefined" && !supported_values[param].includes(options[param])){
+                throw new Error(`Invalid value for ${param}: ${options[param]}. Supported values are ${supported_values[param].join(", ")}.`);
+            }
+        });
+        if (typeof options.ui_locales !== "undefined"){
+            if (typeof options.ui_locales !== "string" || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*( [A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*)*$/.test(options.ui_locales)){
+                throw new Error(`Invalid value for ui_locales: ${options.ui_locales}. Set space separated language tags.`);
+            }
+        }
+        if (typeof options.max_age !== "undefined"){
+            if (!Number.isInteger(options.max_age) || options.max_age < 0){
+                throw new Error(`Invalid value for max_age: ${options.max_age}. Set non-negative integer.`);
+            }
+        }
+        if (typeof options.disable_auto_login !== "undefined" && typeof options.disable_auto_login !== "boolean"){
+            throw new Error(`Invalid value for disable_auto_login: ${options.disable_auto_login}. Set boolean.`);
+        }
+    }
+
+    /**
+    Method to create instance from LINE_LOGIN_* environment variables. e.g. LINE_LOGIN_CHANNEL_ID, LINE_LOGIN_CALLBACK_URL and LINE_LOGIN_PKCE.
+    Boolean is set by "true" or "false", number is set by digits and array is set by comma separated values.
+    @method
+    @param {Object} [options] - Options which override environment variables. e.g. store.
+    @param {Object} [env=process.env] - Environment variables.
+    @return {LineLogin}
+    */
+    static from_env(options = {}, env = process.env){
+        let env_options = {};
+        Object.keys(option_schema).map((param) => {
+            const types = [].concat(option_schema[param].type);
+            const value = env[`LINE_LOGIN_${param.toUpperCase()}`];
+            if (typeof value === "undefined" || value === "") return;
+            if (!types.some((type) => ["string", "number", "boolean", "array"].includes(type))) return;
+
+            if (types.includes("boolean")){
+                env_options[param] = ({"true": true, "false": false})[value.toLowerCase()];
+                // Left as it is so that validation reports invalid value.
+                if (typeof env_options[param] === "undefined") env_options[param] = value;
+            } else if (types.includes("number") && !types.includes("string")){
+                env_options[param] = Number(value);
+            } else if (types.includes("array")){
+                env_options[param] = value.split(",").map((entry) => entry.trim()).filter((entry) => entry);
+            } else {
+                env_options[param] = value;
+            }
+        });
+        return new LineLogin(Object.assign(env_options, options));
+    }
+
+    /**
+    Method to validate options of constructor against schema. Throws ConfigurationError which has all the problems if invalid.
+    @method
+    @param {Object} options - Options of constructor.
+    */
+    static _validate_options(options){
+        if (!options || typeof options !== "object"){
+            throw new ConfigurationError(["Options are missing."]);
+        }
+        let errors = [];
+
+        Object.keys(option_schema).map((param) => {
+            if (option_schema[param].required && !options[param]){
+                errors.push(`Required parameter ${param} is missing.`);
+            }
+        });
+
+        Object.keys(options).map((param) => {
+            const schema = option_schema[param];
+            const value = options[param];
+            if (!schema){
+                errors.push(`${param} is not a valid parameter.`);
+                return;
+            }
+            if (typeof value === "undefined" || (schema.required && !value)) return;
+
+            const types = [].concat(schema.type);
+            const type = Array.isArray(value) ? "array" : ((value === null) ? "null" : typeof value);
+            if (!types.includes(type)){
+                errors.push(`Invalid value for ${param}: ${value}. Set ${types.join(" or ")}.`);
+                return;
+            }
+            if (schema.deprecated){
+                process.emitWarning(schema.deprecated, "DeprecationWarning");
+            }
+            if (schema.values){
+                const values = schema.multiple ? value.trim().split(/\s+/) : [value];
+                values.map((v) => {
+                    if (!schema.values.includes(v)){
+                        errors.push(`Invalid value for ${param}: ${v}. Supported values are ${schema.values.join(", ")}.`);
+                    }
+                });
+            }
+            if (schema.methods){
+                const missing = schema.methods.filter((method) => typeof value[method] !== "function");
+                if (missing.length > 0){
+                    errors.push(`Invalid value for ${param}. It has to implement ${missing.join(", ")}.`);
+                }
+            }
+            if (schema.validate){
+                const error = schema.validate(value);
+                if (error) errors.push(error);
+            }
+        });
+
+        if (errors.length > 0){
+            throw new ConfigurationError(errors);
+        }
+    }
+
+    /**
+    Method to validate callback URL. It has to be absolute https URL. http is allowed only for localhost.
+    @method
+    @param {String} callback_url
+    @return {String} Description of the problem. Undefined if valid.
+    */
+    static _validate_callback_url(callback_url){
+        let url;
+        try {
+            url = new URL(callback_url);
+        } catch(exception){
+            return `Invalid value for callback_url: ${callback_url}. Set absolute URL.`;
+        }
+        const is_local = ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+        if (url.protocol !== "https:" && !(url.protocol === "http:" && is_local)){
+            return `Invalid value for callback_url: ${callback_url}. Set https URL.`;
+        }
+        if (url.hash){
+            return `Invalid value for callback_url: ${callback_url}. Fragment is not allowed.`;
+        }
+    }
+
+    /**
+    Method to validate seconds.
+    @method
+    @param {String} param - Name of the option.
+    @param {Number} value
+    @return {String} Description of the problem. Undefined if valid.
+    */
+    static _validate_seconds(param, value){
+        if (!Number.isInteger(value) || value < 0){
+            return `Invalid value for ${param}: ${value}. Set non-negative integer.`;
+        }
+    }
+
+    /**
+    Method to validate allowed_return_to. Each entry has to be path starting with "/" or absolute http(s) URL.
+    @method
+    @param {Array.<String>} allowed_return_to
+    @return {String} Description of the problem. Undefined if valid.
+    */
+    static _validate_allowed_return_to(allowed_return_to){
+        const invalid = allowed_return_to.filter((entry) => {
+            if (typeof entry !== "string") return true;
+            if (entry.startsWith("/")) return entry.startsWith("//");
+            try {
+                return !["http:", "https:"].includes(new URL(entry).protocol);
+            } catch(exception){
+                return true;
+            }
         });
+        if (invalid.length > 0){
+            return `Invalid value for allowed_return_to: ${invalid.join(", ")}. Set path starting with "/" or absolute URL.`;
+        }
     }
 
     /**
@@ -296,6 +761,35 @@ class LineLogin {
     static _random(){
         return crypto.randomBytes(20).toString('hex');
     }
+
+    /**
+    Method to generate code verifier for PKCE. It is 43 characters long consisting of unreserved characters.
+    @method
+    @return {String}
+    */
+    static _generate_code_verifier(){
+        return LineLogin._base64url(crypto.randomBytes(32));
+    }
+
+    /**
+    Method to generate code challenge from code verifier using S256 method.
+    @method
+    @param {String} code_verifier - Code verifier.
+    @return {String}
+    */
+    static _generate_code_challenge(code_verifier){
+        return LineLogin._base64url(crypto.createHash("sha256").update(code_verifier).digest());
+    }
+
+    /**
+    Method to encode buffer in base64url without padding.
+    @method
+    @param {Buffer} buffer
+    @return {String}
+    */
+    static _base64url(buffer){
+        return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
 }
 
 module.exports = LineLogin;
@@ -0,0 +1,469 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const http = require("http");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const jwt = require("jsonwebtoken");
+const Jwks = require("./jwks");
+const api_version = "v2.1";
+
+/**
+Mock of LINE Login server for offline testing. Pass endpoint of this server to endpoint option of LineLogin.
+Authorization endpoint immediately redirects to redirect_uri with the outcome of consent configured by set_consent().
+@class
+*/
+class MockServer {
+    /**
+    @constructor
+    @param {Object} options
+    @param {String} options.channel_id - LINE Channel Id accepted by this server.
+    @param {String} options.channel_secret - LINE Channel secret accepted by this server.
+    @param {Array.<Object>} [options.users] - Users who can login. Each user has user_id, display_name, picture_url, status_message, email and friend_flag. The first user logs in by default.
+    @param {String} [options.id_token_algorithm="HS256"] - Algorithm to sign ID token. Supported values are "HS256" and "ES256".
+    @param {Number} [options.expires_in=2592000] - Seconds until access token expires.
+    */
+    constructor(options){
+        ["channel_id", "channel_secret"].map((param) => {
+            if (!options[param]){
+                throw new Error(`Required parameter ${param} is missing.`);
+            }
+        });
+        this.channel_id = options.channel_id;
+        this.channel_secret = options.channel_secret;
+        this.users = options.users || [{
+            user_id: "U00000000000000000000000000000001",
+            display_name: "LINE User",
+            picture_url: "https://profile.line-scdn.net/mock",
+            status_message: "Hello",
+            email: "user@example.com",
+            friend_flag: false
+        }];
+        this.id_token_algorithm = options.id_token_algorithm || "HS256";
+        this.expires_in = options.expires_in || 2592000;
+
+        if (this.id_token_algorithm === "ES256"){
+            const key_pair = crypto.generateKeyPairSync("ec", {namedCurve: "P-256"});
+            this.private_key = key_pair.privateKey.export({type: "pkcs8", format: "pem"});
+            this.jwk = Object.assign(Jwks._to_jwk(key_pair.publicKey), {kid: crypto.randomBytes(8).toString("hex"), alg: "ES256", use: "sig"});
+        }
+
+        this.user_id = this.users[0].user_id;
+        this.consent = "approve";
+        this.codes = Object.create(null);
+        this.access_tokens = Object.create(null);
+        this.refresh_tokens = Object.create(null);
+        this.errors = [];
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    /**
+    Method to start server.
+    @method
+    @param {Number} [port=0] - Port to listen. Random port is used if 0.
+    @return {Promise.<String>} Endpoint to pass to endpoint option of LineLogin.
+    */
+    listen(port = 0){
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, "127.0.0.1", () => {
+                resolve(this.endpoint);
+            });
+        });
+    }
+
+    /**
+    Method to stop server.
+    @method
+    @return {Promise}
+    */
+    close(){
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+    Endpoint to pass to endpoint option of LineLogin.
+    @type {String}
+    */
+    get endpoint(){
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+    Method to set user who logs in next.
+    @method
+    @param {String} user_id - User id of one of the users.
+    */
+    login_as(user_id){
+        if (!this.users.find((user) => user.user_id === user_id)){
+            throw new Error(`User ${user_id} is not found.`);
+        }
+        this.user_id = user_id;
+    }
+
+    /**
+    Method to set outcome of consent screen.
+    @method
+    @param {String} consent - "approve" to authorize. Otherwise, it is returned as error. e.g. "access_denied", "server_error".
+    */
+    set_consent(consent){
+        this.consent = consent;
+    }
+
+    /**
+    Method to make the endpoint respond error.
+    @method
+    @param {String} path - Path of the endpoint. e.g. "/oauth2/v2.1/token"
+    @param {Object} [options]
+    @param {Number} [options.status_code=500] - Status code.
+    @param {Object} [options.body] - Response body.
+    @param {Number} [options.times=1] - Number of times to respond error.
+    */
+    inject_error(path, options = {}){
+        this.errors.push({
+            path: path,
+            status_code: options.status_code || 500,
+            body: options.body || {error: "server_error", error_description: "Injected error."},
+            times: options.times || 1
+        });
+    }
+
+    /**
+    Method to route request.
+    @method
+    @param {http.IncomingMessage} req
+    @param {http.ServerResponse} res
+    */
+    _handle(req, res){
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => {
+            const [path, query_string] = req.url.split("?");
+            const query = Object.assign({}, querystring.parse(query_string || ""));
+            const form = Object.assign({}, querystring.parse(body));
+            debug(`Mock server received ${req.method} ${path}.`);
+
+            const error = this.errors.find((error) => error.path === path && error.times > 0);
+            if (error){
+                error.times--;
+                return MockServer._respond(res, error.status_code, error.body);
+            }
+
+            const routes = {
+                [`GET /oauth2/${api_version}/authorize`]: () => this._authorize(res, query),
+                [`POST /oauth2/${api_version}/token`]: () => this._token(res, form),
+                [`GET /oauth2/${api_version}/verify`]: () => this._verify_access_token(res, query),
+                [`POST /oauth2/${api_version}/verify`]: () => this._verify_id_token(res, form),
+                [`POST /oauth2/${api_version}/revoke`]: () => this._revoke(res, form),
+                [`GET /oauth2/${api_version}/certs`]: () => MockServer._respond(res, 200, {keys: this.jwk ? [this.jwk] : []}),
+                ["GET /v2/profile"]: () => this._profile(res, req),
+                ["GET /friendship/v1/status"]: () => this._friendship(res, req)
+            }
+            const route = routes[`${req.method} ${path}`];
+            if (!route){
+                return MockServer._respond(res, 404, {message: "Not found"});
+            }
+            route();
+        });
+    }
+
+    /**
+    Authorization endpoint. Redirects to redirect_uri with code or error depending on consent.
+    @method
+    */
+    _authorize(res, query){
+        if (query.response_type !== "code" || query.client_id !== this.channel_id || !query.redirect_uri || !query.state){
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "Invalid authorization request."});
+        }
+        let params = {state: query.state};
+        if (this.consent !== "approve"){
+            params.error = this.consent;
+            params.error_description = (this.consent === "access_denied") ? "The user has denied the approval" : "Mock server responded error.";
+        } else {
+            params.code = MockServer._random();
+            this.codes[params.code] = {
+                user_id: this.user_id,
+                redirect_uri: query.redirect_uri,
+                scope: query.scope || "",
+                nonce: query.nonce,
+                code_challenge: query.code_challenge,
+                expires_at: Date.now() + 10 * 60 * 1000
+            }
+            if (query.bot_prompt) params.friendship_status_changed = "false";
+        }
+        const separator = query.redirect_uri.includes("?") ? "&" : "?";
+        res.statusCode = 302;
+        res.setHeader("Location", query.redirect_uri + separator + querystring.stringify(params));
+        res.end();
+    }
+
+    /**
+    Token endpoint. Supports authorization_code with or without PKCE and refresh_token grant.
+    @method
+    */
+    _token(res, form){
+        if (form.client_id !== this.channel_id || (form.client_secret && form.client_secret !== this.channel_secret)){
+            return MockServer._respond(res, 400, {error: "invalid_client", error_description: "invalid client_secret"});
+        }
+        if (form.grant_type === "authorization_code"){
+            const grant = this.codes[form.code];
+            delete this.codes[form.code];
+            if (!grant || grant.expires_at < Date.now() || grant.redirect_uri !== form.redirect_uri){
+                return MockServer._respond(res, 400, {error: "invalid_grant", error_description: "invalid authorization code"});
+            }
+            if (grant.code_challenge){
+                const code_challenge = crypto.createHash("sha256").update(form.code_verifier || "").digest("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+                if (code_challenge !== grant.code_challenge){
+                    return MockServer._respond(res, 400, {error: "invalid_grant", error_description: "invalid code_verifier"});
+                }
+            } else if (!form.client_secret){
+                return MockServer._respond(res, 400, {error: "invalid_client", error_description: "client_secret is required"});
+            }
+            return MockServer._respond(res, 200, this._issue(grant.user_id, grant.scope, grant.nonce));
+        }
+        if (form.grant_type === "refresh_token"){
+            const grant = this.refresh_tokens[form.refresh_token];
+            delete this.refresh_tokens[form.refresh_token];
+            if (!grant){
+                return MockServer._respond(res, 400, {error: "invalid_grant", error_description: "invalid refresh token"});
+            }
+            let token_response = this._issue(grant.user_id, grant.scope);
+            delete token_response.id_token;
+            return MockServer._respond(res, 200, token_response);
+        }
+        MockServer._respond(res, 400, {error: "unsupported_grant_type", error_description: "unsupported grant_type"});
+    }
+
+    /**
+    Endpoint to verify access token.
+    @method
+    */
+    _verify_access_token(res, query){
+        const token = this._find_access_token(query.access_token);
+        if (!token){
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "access token expired"});
+        }
+        MockServer._respond(res, 200, {
+            scope: token.scope,
+            client_id: this.channel_id,
+            expires_in: Math.floor((token.expires_at - Date.now()) / 1000)
+        });
+    }
+
+    /**
+    Endpoint to verify ID token. Responds the same error descriptions as LINE Login.
+    @method
+    */
+    _verify_id_token(res, form){
+        const key = (this.id_token_algorithm === "ES256") ? this.jwk_public_key() : this.channel_secret;
+        let claims;
+        try {
+            claims = jwt.verify(form.id_token, key, {algorithms: [this.id_token_algorithm], issuer: "https://access.line.me"});
+        } catch(exception){
+            if (exception.name === "TokenExpiredError"){
+                return MockServer._respond(res, 400, {error: "invalid_request", error_description: "IdToken expired."});
+            }
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "Invalid IdToken."});
+        }
+        if (claims.aud !== form.client_id){
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "Invalid IdToken Audience."});
+        }
+        if (form.nonce && claims.nonce !== form.nonce){
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "Invalid IdToken Nonce."});
+        }
+        if (form.user_id && claims.sub !== form.user_id){
+            return MockServer._respond(res, 400, {error: "invalid_request", error_description: "Invalid IdToken Subject Identifier."});
+        }
+        MockServer._respond(res, 200, claims);
+    }
+
+    /**
+    Endpoint to revoke access token.
+    @method
+    */
+    _revoke(res, form){
+        delete this.access_tokens[form.access_token];
+        MockServer._respond(res, 200, null);
+    }
+
+    /**
+    Endpoint to get user profile. Requires profile scope.
+    @method
+    */
+    _profile(res, req){
+        const token = this._find_access_token(MockServer._bearer(req));
+        if (!token || !token.scope.split(" ").includes("profile")){
+            return MockServer._respond(res, 401, {message: "Authentication failed."});
+        }
+        const user = this._user(token.user_id);
+        MockServer._respond(res, 200, {
+            userId: user.user_id,
+            displayName: user.display_name,
+            pictureUrl: user.picture_url,
+            statusMessage: user.status_message
+        });
+    }
+
+    /**
+    Endpoint to get friendship status.
+    @method
+    */
+    _friendship(res, req){
+        const token = this._find_access_token(MockServer._bearer(req));
+        if (!token){
+            return MockServer._respond(res, 401, {message: "Authentication failed."});
+        }
+        MockServer._respond(res, 200, {friendFlag: Boolean(this._user(token.user_id).friend_flag)});
+    }
+
+    /**
+    Method to issue tokens.
+    @method
+    @param {String} user_id
+    @param {String} scope
+    @param {String} [nonce]
+    @return {Object} Token response.
+    */
+    _issue(user_id, scope, nonce){
+        const access_token = MockServer._random();
+        const refresh_token = MockServer._random();
+        this.access_tokens[access_token] = {
+            user_id: user_id,
+            scope: scope,
+            expires_at: Date.now() + this.expires_in * 1000
+        }
+        this.refresh_tokens[refresh_token] = {
+            user_id: user_id,
+            scope: scope
+        }
+        let token_response = {
+            access_token: access_token,
+            token_type: "Bearer",
+            refresh_token: refresh_token,
+            expires_in: this.expires_in,
+            scope: scope
+        }
+        if (scope.split(" ").includes("openid")){
+            token_response.id_token = this.sign_id_token(user_id, {nonce: nonce, scope: scope});
+        }
+        return token_response;
+    }
+
+    /**
+    Method to issue tokens to the user without authorization. Useful to test the APIs which take tokens obtained elsewhere such as LIFF login and bearer authentication.
+    @method
+    @param {String} user_id - User id of one of the users.
+    @param {Object} [options]
+    @param {String} [options.scope="profile openid"] - Scope of the tokens. ID token is included if it has openid.
+    @param {String} [options.nonce] - Nonce of ID token.
+    @return {Object} Token response.
+    */
+    issue_tokens(user_id, options = {}){
+        if (!this._user(user_id)){
+            throw new Error(`User ${user_id} is not found.`);
+        }
+        return this._issue(user_id, options.scope || "profile openid", options.nonce);
+    }
+
+    /**
+    Method to sign ID token of the user. Useful to test ID token verification.
+    @method
+    @param {String} user_id
+    @param {Object} [options]
+    @param {String} [options.nonce] - Nonce.
+    @param {String} [options.scope="profile openid email"] - Scope which decides claims to include.
+    @param {Object} [options.claims] - Claims to override.
+    @return {String}
+    */
+    sign_id_token(user_id, options = {}){
+        const user = this._user(user_id);
+        const scope = (options.scope || "profile openid email").split(" ");
+        const now = Math.floor(Date.now() / 1000);
+        let claims = {
+            iss: "https://access.line.me",
+            sub: user.user_id,
+            aud: this.channel_id,
+            exp: now + 3600,
+            iat: now,
+            amr: ["pwd"]
+        }
+        if (options.nonce) claims.nonce = options.nonce;
+        if (scope.includes("profile")){
+            claims.name = user.display_name;
+            claims.picture = user.picture_url;
+        }
+        if (scope.includes("email") && user.email) claims.email = user.email;
+        Object.assign(claims, options.claims);
+
+        if (this.id_token_algorithm === "ES256"){
+            return jwt.sign(claims, this.private_key, {algorithm: "ES256", keyid: this.jwk.kid});
+        }
+        return jwt.sign(claims, this.channel_secret, {algorithm: "HS256"});
+    }
+
+    /**
+    Method to get public key of ES256 in PEM format.
+    @method
+    @return {String}
+    */
+    jwk_public_key(){
+        return Jwks._to_pem(this.jwk);
+    }
+
+    /**
+    Method to find access token which is not expired.
+    @method
+    @param {String} access_token
+    @return {Object}
+    */
+    _find_access_token(access_token){
+        const token = this.access_tokens[access_token];
+        if (!token || token.expires_at < Date.now()) return null;
+        return token;
+    }
+
+    /**
+    Method to find user by user id.
+    @method
+    @param {String} user_id
+    @return {Object}
+    */
+    _user(user_id){
+        return this.users.find((user) => user.user_id === user_id);
+    }
+
+    /**
+    Method to extract access token from Authorization header.
+    @method
+    @param {http.IncomingMessage} req
+    @return {String}
+    */
+    static _bearer(req){
+        return (req.headers.authorization || "").replace(/^Bearer /, "");
+    }
+
+    /**
+    Method to generate random string.
+    @method
+    @return {String}
+    */
+    static _random(){
+        return crypto.randomBytes(16).toString("hex");
+    }
+
+    /**
+    Method to respond JSON.
+    @method
+    @param {http.ServerResponse} res
+    @param {Number} status_code
+    @param {Object} body - Response body. Empty if null.
+    */
+    static _respond(res, status_code, body){
+        res.statusCode = status_code;
+        if (body === null) return res.end();
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = MockServer;
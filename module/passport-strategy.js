@@ -0,0 +1,141 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const PassportStrategy = require("passport-strategy");
+const LineLogin = require("./line-login");
+const { AuthorizationError, StateMismatchError } = require("./error");
+const auth_params = ["scope", "prompt", "bot_prompt", "ui_locales", "max_age", "initial_amr_display", "disable_auto_login", "return_to"];
+
+/**
+Passport strategy to authenticate user by LINE Login.
+@class
+*/
+class Strategy extends PassportStrategy {
+    /**
+    @constructor
+    @param {Object} options - Options of LineLogin. Following options are also available.
+    @param {LineLogin} [options.line_login] - Instance of LineLogin. If set, other options of LineLogin are ignored.
+    @param {Boolean} [options.fetch_profile] - Fetch profile by access token. Default is true if scope contains "profile".
+    @param {Boolean} [options.pass_req_to_callback=false] - Pass request to verify function as the first argument.
+    @param {Function} verify - Function called with access token, refresh token, token response, profile and done.
+    */
+    constructor(options, verify){
+        super();
+        if (typeof verify !== "function"){
+            throw new Error("Required parameter verify is missing.");
+        }
+        options = Object.assign({}, options);
+        const fetch_profile = options.fetch_profile;
+        const pass_req_to_callback = options.pass_req_to_callback;
+        delete options.fetch_profile;
+        delete options.pass_req_to_callback;
+
+        this.name = "line";
+        this._verify = verify;
+        this._line_login = options.line_login || new LineLogin(options);
+        if (typeof fetch_profile === "undefined"){
+            this._fetch_profile = this._line_login.scope.split(" ").includes("profile");
+        } else {
+            this._fetch_profile = fetch_profile;
+        }
+        this._pass_req_to_callback = pass_req_to_callback || false;
+    }
+
+    /**
+    Method called by passport. Redirects user to LINE authorization endpoint or handles callback.
+    @method
+    @param {Object} req - Request.
+    @param {Object} [options] - Options of passport.authenticate(). scope, prompt, bot_prompt, ui_locales, max_age, initial_amr_display and disable_auto_login are used in authorization request. return_to is validated and set to info passed to success() so it is available as req.authInfo.return_to.
+    */
+    authenticate(req, options = {}){
+        const query = req.query || {};
+
+        // Start authorization unless this is a callback from LINE.
+        if (!query.code && !query.error){
+            let auth_options = {};
+            auth_params.map((param) => {
+                if (typeof options[param] !== "undefined") auth_options[param] = options[param];
+            });
+            if (Array.isArray(auth_options.scope)) auth_options.scope = auth_options.scope.join(" ");
+            return this._line_login.core.start_auth(req, req.res, auth_options, query).then((url) => {
+                this.redirect(url);
+            }).catch((error) => {
+                this.error(error);
+            });
+        }
+
+        return this._line_login.core.handle_callback(req, req.res, query).then((result) => {
+            // Response has been sent by on_friend_added or on_not_friend hook.
+            if (result.handled) return;
+            const token_response = result.token_response;
+            return this._load_profile(token_response).then((profile) => {
+                const verified = (error, user, info) => {
+                    if (error) return this.error(error);
+                    if (!user) return this.fail(info);
+                    if (result.return_to) info = Object.assign({return_to: result.return_to}, info);
+                    this.success(user, info);
+                }
+                let args = [token_response.access_token, token_response.refresh_token, token_response, profile, verified];
+                if (this._pass_req_to_callback) args.unshift(req);
+                try {
+                    this._verify.apply(null, args);
+                } catch(exception){
+                    this.error(exception);
+                }
+            });
+        }).catch((error) => {
+            debug(error);
+            if (error instanceof AuthorizationError || error instanceof StateMismatchError){
+                return this.fail({message: error.message, error: error}, 401);
+            }
+            this.error(error);
+        });
+    }
+
+    /**
+    Method to make normalized passport profile from id token and profile.
+    @method
+    @param {Object} token_response - Token response whose id_token is decoded.
+    @return {Promise.<Object>}
+    */
+    _load_profile(token_response){
+        let fetched;
+        if (this._fetch_profile){
+            fetched = this._line_login.get_user_profile(token_response.access_token);
+        } else {
+            fetched = Promise.resolve(null);
+        }
+        return fetched.then((line_profile) => {
+            return Strategy._normalize_profile((typeof token_response.id_token === "object") ? token_response.id_token : {}, line_profile);
+        });
+    }
+
+    /**
+    Method to make normalized passport profile.
+    @method
+    @param {Object} claims - Decoded id token.
+    @param {Object} [line_profile] - Response of get_user_profile().
+    @return {Object}
+    */
+    static _normalize_profile(claims, line_profile){
+        line_profile = line_profile || {};
+        let profile = {
+            provider: "line",
+            id: line_profile.userId || claims.sub,
+            displayName: line_profile.displayName || claims.name,
+            photos: [],
+            emails: [],
+            _json: {
+                id_token: claims,
+                profile: line_profile
+            }
+        }
+        const picture = line_profile.pictureUrl || claims.picture;
+        if (picture) profile.photos.push({value: picture});
+        if (claims.email) profile.emails.push({value: claims.email});
+        if (line_profile.statusMessage) profile.statusMessage = line_profile.statusMessage;
+        return profile;
+    }
+}
+
+module.exports = Strategy;
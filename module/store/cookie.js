@@ -0,0 +1,177 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const crypto = require("crypto");
+const secure_compare = require("secure-compare");
+const MemoryStore = require("./memory");
+
+/**
+Store to save login attempts in signed short-lived cookies. Each login attempt is saved in its own cookie so it does not require any server side storage.
+Since browser can send the cookie of consumed login attempt again, consumed login attempts are also remembered in consumed_store until they expire. Default consumed_store is MemoryStore so reuse of state is detected only by the process which consumed it. Give store shared among processes when you run multiple processes.
+@class
+*/
+class CookieStore {
+    /**
+    @constructor
+    @param {Object} options
+    @param {String} options.secret - Secret to sign cookies.
+    @param {Number} [options.ttl=600] - Time to live of login attempt in seconds.
+    @param {String} [options.cookie_prefix="line_login_"] - Prefix of cookie name. Key of the login attempt follows.
+    @param {String} [options.path="/"] - Path attribute of cookies.
+    @param {Boolean} [options.secure=true] - Secure attribute of cookies.
+    @param {Object} [options.consumed_store] - Store to remember consumed login attempts. It has to implement get(req, key) and set(req, res, key, value). Default is MemoryStore with the same ttl.
+    */
+    constructor(options = {}){
+        if (!options.secret){
+            throw new Error("Required parameter secret is missing.");
+        }
+        this.secret = options.secret;
+        this.ttl = options.ttl || 600;
+        this.cookie_prefix = options.cookie_prefix || "line_login_";
+        this.path = options.path || "/";
+        if (typeof options.secure === "undefined"){
+            this.secure = true;
+        } else {
+            this.secure = options.secure;
+        }
+        this.consumed_store = options.consumed_store || new MemoryStore({ttl: this.ttl});
+    }
+
+    /**
+    Method to get login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise.<Object>}
+    */
+    get(req, key){
+        if (!CookieStore._is_valid_key(key)) return Promise.resolve(undefined);
+
+        return this.consumed_store.get(req, key).then((consumed) => {
+            if (consumed) return consumed;
+            return this._get_cookie(req, key);
+        });
+    }
+
+    /**
+    Method to get login attempt saved in cookie.
+    @method
+    @param {Object} req - Request.
+    @param {String} key - Key of the login attempt.
+    @return {Promise.<Object>}
+    */
+    _get_cookie(req, key){
+        const cookie = CookieStore._parse_cookie(req.headers && req.headers.cookie)[this.cookie_prefix + key];
+        if (!cookie) return Promise.resolve(undefined);
+
+        const [payload, signature] = cookie.split(".");
+        if (!payload || !signature || !secure_compare(this._sign(payload), signature)){
+            debug("Signature of login attempt cookie does not match.");
+            return Promise.resolve(undefined);
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(Buffer.from(payload, "base64").toString());
+        } catch(exception){
+            return Promise.resolve(undefined);
+        }
+        if (entry.key !== key || entry.expires_at <= Date.now()){
+            return Promise.resolve(undefined);
+        }
+        return Promise.resolve(entry.value);
+    }
+
+    /**
+    Method to save login attempt. Consumed login attempt is also saved in consumed_store.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @param {Object} value - Login attempt.
+    @return {Promise}
+    */
+    set(req, res, key, value){
+        if (!CookieStore._is_valid_key(key)){
+            return Promise.reject(new Error(`${key} is not a valid key.`));
+        }
+        const payload = Buffer.from(JSON.stringify({
+            key: key,
+            value: value,
+            expires_at: Date.now() + this.ttl * 1000
+        })).toString("base64");
+        this._append_cookie(res, `${this.cookie_prefix}${key}=${payload}.${this._sign(payload)}; Max-Age=${this.ttl}`);
+        if (value && value.consumed_at){
+            return this.consumed_store.set(req, res, key, value);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+    Method to delete login attempt. Record in consumed_store is kept so that the state is never accepted again.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise}
+    */
+    delete(req, res, key){
+        if (!CookieStore._is_valid_key(key)) return Promise.resolve();
+        this._append_cookie(res, `${this.cookie_prefix}${key}=; Max-Age=0`);
+        return Promise.resolve();
+    }
+
+    /**
+    Method to add Set-Cookie header while keeping the existing ones.
+    @method
+    @param {Object} res - Response.
+    @param {String} cookie - Name, value and Max-Age of the cookie.
+    */
+    _append_cookie(res, cookie){
+        cookie += `; Path=${this.path}; HttpOnly; SameSite=Lax`;
+        if (this.secure) cookie += "; Secure";
+
+        let cookies = res.getHeader("Set-Cookie") || [];
+        if (!Array.isArray(cookies)) cookies = [cookies];
+        res.setHeader("Set-Cookie", cookies.concat(cookie));
+    }
+
+    /**
+    Method to sign payload.
+    @method
+    @param {String} payload
+    @return {String}
+    */
+    _sign(payload){
+        return crypto.createHmac("sha256", this.secret).update(payload).digest("hex");
+    }
+
+    /**
+    Method to check if key can be used as a part of cookie name.
+    @method
+    @param {String} key
+    @return {Boolean}
+    */
+    static _is_valid_key(key){
+        return typeof key === "string" && /^[A-Za-z0-9_-]+$/.test(key);
+    }
+
+    /**
+    Method to parse Cookie header.
+    @method
+    @param {String} header - Value of Cookie header.
+    @return {Object}
+    */
+    static _parse_cookie(header){
+        let cookies = {};
+        if (!header) return cookies;
+        header.split(";").map((pair) => {
+            const index = pair.indexOf("=");
+            if (index < 0) return;
+            cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        });
+        return cookies;
+    }
+}
+
+module.exports = CookieStore;
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+Store to save login attempts in process memory with TTL. Login attempts are not shared among processes so use sticky session or other store when you run multiple processes.
+@class
+*/
+class MemoryStore {
+    /**
+    @constructor
+    @param {Object} [options]
+    @param {Number} [options.ttl=600] - Time to live of login attempt in seconds.
+    */
+    constructor(options = {}){
+        this.ttl = options.ttl || 600;
+        this.entries = new Map();
+    }
+
+    /**
+    Method to get login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise.<Object>}
+    */
+    get(req, key){
+        this._prune();
+        const entry = this.entries.get(key);
+        return Promise.resolve(entry ? entry.value : undefined);
+    }
+
+    /**
+    Method to save login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @param {Object} value - Login attempt.
+    @return {Promise}
+    */
+    set(req, res, key, value){
+        this._prune();
+        this.entries.set(key, {
+            value: value,
+            expires_at: Date.now() + this.ttl * 1000
+        });
+        return Promise.resolve();
+    }
+
+    /**
+    Method to delete login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise}
+    */
+    delete(req, res, key){
+        this.entries.delete(key);
+        return Promise.resolve();
+    }
+
+    /**
+    Method to remove expired entries.
+    @method
+    */
+    _prune(){
+        const now = Date.now();
+        for (let [key, entry] of this.entries){
+            if (entry.expires_at <= now) this.entries.delete(key);
+        }
+    }
+}
+
+module.exports = MemoryStore;
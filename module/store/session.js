@@ -0,0 +1,96 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+
+/**
+Store to save login attempts in session. Requires express-session or compatible middleware which sets req.session.
+@class
+*/
+class SessionStore {
+    /**
+    @constructor
+    @param {Object} [options]
+    @param {String} [options.session_key="line_login"] - Property name of req.session to save login attempts.
+    @param {Number} [options.ttl=600] - Time to live of login attempt in seconds. Login attempts which have issued_at older than this are pruned when new one is saved.
+    */
+    constructor(options = {}){
+        this.session_key = options.session_key || "line_login";
+        this.ttl = options.ttl || 600;
+    }
+
+    /**
+    Method to get login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise.<Object>}
+    */
+    get(req, key){
+        return this._attempts(req).then((attempts) => {
+            if (!Object.prototype.hasOwnProperty.call(attempts, key)) return undefined;
+            return attempts[key];
+        });
+    }
+
+    /**
+    Method to save login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @param {Object} value - Login attempt.
+    @return {Promise}
+    */
+    set(req, res, key, value){
+        return this._attempts(req).then((attempts) => {
+            this._prune(attempts);
+            attempts[key] = value;
+        });
+    }
+
+    /**
+    Method to delete login attempt.
+    @method
+    @param {Object} req - Request.
+    @param {Object} res - Response.
+    @param {String} key - Key of the login attempt. Typically state.
+    @return {Promise}
+    */
+    delete(req, res, key){
+        return this._attempts(req).then((attempts) => {
+            delete attempts[key];
+            if (Object.keys(attempts).length === 0) delete req.session[this.session_key];
+        });
+    }
+
+    /**
+    Method to delete expired login attempts.
+    @method
+    @param {Object} attempts - Container of login attempts.
+    */
+    _prune(attempts){
+        const expired_at = Date.now() - this.ttl * 1000;
+        Object.keys(attempts).map((key) => {
+            if (attempts[key] && attempts[key].issued_at < expired_at) delete attempts[key];
+        });
+    }
+
+    /**
+    Method to get the container of login attempts in session.
+    @method
+    @param {Object} req - Request.
+    @return {Promise.<Object>}
+    */
+    _attempts(req){
+        if (!req.session){
+            debug("Session is not available.");
+            return Promise.reject(new Error("Session is not available. Mount express-session middleware or use other store."));
+        }
+        if (!req.session[this.session_key]){
+            req.session[this.session_key] = {};
+        }
+        return Promise.resolve(req.session[this.session_key]);
+    }
+}
+
+module.exports = SessionStore;
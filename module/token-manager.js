@@ -0,0 +1,168 @@
+"use strict";
+
+const debug = require("debug")("line-login:module");
+const EventEmitter = require("events");
+const { InvalidTokenError } = require("./error");
+
+/**
+Class to manage access token and refresh token of a user. Access token is refreshed before it expires.
+@class
+@fires TokenManager#refreshed
+@fires TokenManager#refresh_failed
+*/
+class TokenManager extends EventEmitter {
+    /**
+    @constructor
+    @param {LineLogin} line_login - Instance of LineLogin.
+    @param {Object} token_response - Token response of issue_access_token() or refresh_access_token(). Token set saved by store is also accepted.
+    @param {Object} [options]
+    @param {Number} [options.refresh_margin=300] - Seconds before expiry to refresh access token.
+    @param {Object} [options.store] - Store to persist token set when refreshed. It has to implement get(key) and set(key, token_set) which return Promise.
+    @param {String} [options.key] - Key to persist token set in store. Required when store is set.
+    */
+    constructor(line_login, token_response, options = {}){
+        super();
+        if (options.store && !options.key){
+            throw new Error("Required parameter key is missing.");
+        }
+        this.line_login = line_login;
+        this.refresh_margin = (typeof options.refresh_margin === "undefined") ? 300 : options.refresh_margin;
+        this.store = options.store;
+        this.key = options.key;
+        this.token_set = TokenManager._to_token_set(token_response);
+        this.refreshing = null;
+    }
+
+    /**
+    Method to create token manager from token set saved in store.
+    @method
+    @param {LineLogin} line_login - Instance of LineLogin.
+    @param {Object} options - Same as constructor. store and key are required.
+    @return {Promise.<TokenManager>} Resolves null when token set is not found.
+    */
+    static load(line_login, options){
+        return options.store.get(options.key).then((token_set) => {
+            if (!token_set) return null;
+            return new TokenManager(line_login, token_set, options);
+        });
+    }
+
+    /**
+    Method to check if access token is expired or about to expire.
+    @method
+    @return {Boolean}
+    */
+    is_expiring(){
+        if (!this.token_set.expires_at) return false;
+        return Date.now() >= this.token_set.expires_at - this.refresh_margin * 1000;
+    }
+
+    /**
+    Method to get valid access token. Access token is refreshed if it is about to expire.
+    @method
+    @return {Promise.<String>}
+    */
+    get_access_token(){
+        if (this.is_expiring()){
+            return this.refresh().then(() => this.token_set.access_token);
+        }
+        return Promise.resolve(this.token_set.access_token);
+    }
+
+    /**
+    Method to refresh access token. Concurrent calls share one refresh.
+    @method
+    @return {Promise.<Object>} Token set.
+    */
+    refresh(){
+        if (this.refreshing) return this.refreshing;
+
+        if (!this.token_set.refresh_token){
+            return Promise.reject(new Error("Refresh token is not available."));
+        }
+        debug("Refreshing access token.");
+        this.refreshing = Promise.resolve().then(() => {
+            return this.line_login.refresh_access_token(this.token_set.refresh_token);
+        }).then((token_response) => {
+            // Keep values which token response of refresh does not contain such as id_token.
+            this.token_set = Object.assign({}, this.token_set, TokenManager._to_token_set(token_response));
+            if (this.store){
+                return this.store.set(this.key, this.token_set);
+            }
+        }).then(() => {
+            this.refreshing = null;
+            /**
+            Event emitted when access token is refreshed.
+            @event TokenManager#refreshed
+            @type {Object} Token set.
+            */
+            this.emit("refreshed", this.token_set);
+            return this.token_set;
+        }).catch((error) => {
+            this.refreshing = null;
+            debug("Failed to refresh access token.");
+            /**
+            Event emitted when refresh of access token failed.
+            @event TokenManager#refresh_failed
+            @type {Error}
+            */
+            this.emit("refresh_failed", error);
+            return Promise.reject(error);
+        });
+        return this.refreshing;
+    }
+
+    /**
+    Method to get user's display name, profile image, and status message.
+    @method
+    @return {Promise.<Object>}
+    */
+    get_user_profile(){
+        return this._call((access_token) => this.line_login.get_user_profile(access_token));
+    }
+
+    /**
+    Method to get the friendship status of the user and the bot linked to your LINE Login channel.
+    @method
+    @return {Promise.<Object>}
+    */
+    get_friendship_status(){
+        return this._call((access_token) => this.line_login.get_friendship_status(access_token));
+    }
+
+    /**
+    Method to call API with valid access token. If access token is rejected, it is refreshed and API is called once again.
+    @method
+    @param {Function} api - Function which takes access token and returns Promise.
+    @return {Promise}
+    */
+    _call(api){
+        const refreshed = this.is_expiring();
+        return this.get_access_token().then((access_token) => {
+            return api(access_token);
+        }).catch((error) => {
+            if (!(error instanceof InvalidTokenError) || refreshed || !this.token_set.refresh_token){
+                return Promise.reject(error);
+            }
+            debug("Access token was rejected. Retry after refresh.");
+            return this.refresh().then((token_set) => api(token_set.access_token));
+        });
+    }
+
+    /**
+    Method to convert token response into token set which has absolute expiry time.
+    @method
+    @param {Object} token_response
+    @return {Object}
+    */
+    static _to_token_set(token_response){
+        let token_set = Object.assign({}, token_response);
+        if (typeof token_response.expires_in === "number"){
+            token_set.expires_at = Date.now() + token_response.expires_in * 1000;
+            delete token_set.expires_in;
+        }
+        return token_set;
+    }
+}
+
+module.exports = TokenManager;
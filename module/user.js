@@ -0,0 +1,85 @@
+"use strict";
+
+const user_params = ["user_id", "display_name", "picture_url", "status_message", "email", "amr", "authenticated_at"];
+
+/**
+Normalized identity of LINE user made from claims of id token and profile.
+@class
+*/
+class User {
+    /**
+    @constructor
+    @param {Object} params
+    @param {String} params.user_id - User id. sub of id token or userId of profile.
+    @param {String} [params.display_name] - Display name. Profile takes precedence over name of id token.
+    @param {String} [params.picture_url] - URL of profile image. Profile takes precedence over picture of id token.
+    @param {String} [params.status_message] - Status message. Available only in profile.
+    @param {String} [params.email] - Email address. Available only in id token and requires email scope.
+    @param {Array.<String>} [params.amr] - Authentication methods of the login.
+    @param {Number} [params.authenticated_at] - Time of authentication in seconds since epoch. auth_time or iat of id token.
+    */
+    constructor(params){
+        if (!params || !params.user_id){
+            throw new Error("Required parameter user_id is missing.");
+        }
+        user_params.map((param) => {
+            if (typeof params[param] !== "undefined") this[param] = params[param];
+        });
+    }
+
+    /**
+    Method to make User from claims of id token and profile.
+    @method
+    @param {Object} [claims] - Decoded id token.
+    @param {Object} [line_profile] - Response of get_user_profile().
+    @return {User}
+    */
+    static from(claims, line_profile){
+        claims = claims || {};
+        line_profile = line_profile || {};
+        return new User({
+            user_id: line_profile.userId || claims.sub,
+            display_name: line_profile.displayName || claims.name,
+            picture_url: line_profile.pictureUrl || claims.picture,
+            status_message: line_profile.statusMessage,
+            email: claims.email,
+            amr: claims.amr,
+            authenticated_at: claims.auth_time || claims.iat
+        });
+    }
+
+    /**
+    Method to serialize user into plain object which can be saved in session or database.
+    @method
+    @return {Object}
+    */
+    serialize(){
+        let serialized = {};
+        user_params.map((param) => {
+            if (typeof this[param] !== "undefined") serialized[param] = this[param];
+        });
+        return serialized;
+    }
+
+    /**
+    Method to restore User from serialized object.
+    @method
+    @param {Object|String} serialized - Object returned by serialize() or its JSON string.
+    @return {User}
+    */
+    static deserialize(serialized){
+        if (typeof serialized === "string") serialized = JSON.parse(serialized);
+        return new User(serialized);
+    }
+
+    /**
+    Method used by JSON.stringify().
+    @method
+    @return {Object}
+    */
+    toJSON(){
+        return this.serialize();
+    }
+}
+
+module.exports = User;
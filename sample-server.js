@@ -18,10 +18,8 @@ if (process.env.NODE_ENV == "development"){
     line_login = require("line-login");
 }
 
-const login = new line_login({
-    channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-    channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
-    callback_url: process.env.LINE_LOGIN_CALLBACK_URL,
+// channel_id, channel_secret and callback_url are read from LINE_LOGIN_* environment variables.
+const login = line_login.from_env({
     scope: "openid profile",
     prompt: "consent",
     bot_prompt: "normal"
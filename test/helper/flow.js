@@ -0,0 +1,135 @@
+"use strict";
+
+/*
+Shared fixture of tests which run login flow. LineLogin calls MockServer through Transport so token exchange, verification of tokens and retrieval of profile run as they do against LINE.
+*/
+
+const http = require("http");
+const querystring = require("querystring");
+const { URL } = require("url");
+const line_login = require("../../index.js");
+
+const channel_id = "1234567890";
+const channel_secret = "channel_secret";
+const users = [{
+    user_id: "U1234",
+    display_name: "Taro",
+    picture_url: "https://example.com/taro.png",
+    status_message: "Hello",
+    email: "taro@example.com",
+    friend_flag: false
+}, {
+    user_id: "U5678",
+    display_name: "Hanako",
+    friend_flag: true
+}];
+
+/**
+Transport which records requests in "METHOD /path" format.
+@class
+*/
+class RecordingTransport extends line_login.Transport {
+    constructor(){
+        super({keep_alive: false, retries: 0});
+        this.requests = [];
+    }
+
+    request(options){
+        this.requests.push(`${options.method} ${new URL(options.url).pathname}`);
+        return super.request(options);
+    }
+}
+
+// Start mock server of LINE Login. Users are U1234 (Taro) and U5678 (Hanako) and U1234 logs in by default.
+function start_mock(options){
+    const mock = new line_login.MockServer(Object.assign({
+        channel_id: channel_id,
+        channel_secret: channel_secret,
+        users: users
+    }, options));
+    return mock.listen().then(() => mock);
+}
+
+// Create LineLogin which calls mock server. Requests are recorded in login.transport.requests.
+function create_login(mock, options){
+    return new line_login(Object.assign({
+        channel_id: channel_id,
+        channel_secret: channel_secret,
+        callback_url: "https://example.com/callback",
+        endpoint: mock.endpoint,
+        transport: new RecordingTransport()
+    }, options));
+}
+
+// Count requests sent by login. e.g. "GET /v2/profile"
+function count_requests(login, request){
+    return login.transport.requests.filter((sent) => sent === request).length;
+}
+
+// Run Express middleware and resolve with redirected URL. Resolves null if next() is called without error.
+function run(middleware, req, res = {}){
+    return new Promise((resolve, reject) => {
+        res.redirect = resolve;
+        middleware(req, res, (error) => {
+            if (error) return reject(error);
+            resolve(null);
+        });
+    });
+}
+
+// Send authorization request to mock server and resolve with query of the redirect to callback URL.
+function authorize(url){
+    return new Promise((resolve, reject) => {
+        http.get(url, (res) => {
+            res.resume();
+            if (res.statusCode !== 302) return reject(new Error(`Authorization endpoint responded ${res.statusCode}.`));
+            resolve(Object.assign({}, querystring.parse(res.headers.location.split("?")[1])));
+        }).on("error", reject);
+    });
+}
+
+/*
+Run auth() -> authorization by mock server -> callback() and resolve with req, token_response and result passed to success callback.
+token_response and result are null if success callback is not called. Rejects with error passed to failure callback or next().
+Options:
+- session - Session shared by the requests.
+- auth_options - Options of auth().
+- auth_request - Properties of request to auth(). e.g. query
+- callback_request - Properties of request to callback().
+- callback_query - Function to modify query of callback.
+*/
+function login_flow(login, options = {}){
+    const session = options.session || {};
+    const auth_req = Object.assign({session: session, query: {}, headers: {}}, options.auth_request);
+
+    return run(login.auth(options.auth_options), auth_req).then((url) => {
+        return authorize(url);
+    }).then((query) => {
+        if (options.callback_query) query = options.callback_query(query);
+        const req = Object.assign({session: auth_req.session, query: query, headers: {}}, options.callback_request);
+        let outcome = {req: req, token_response: null, result: null};
+        let failure;
+        return login.callback((req, res, next, token_response, result) => {
+            outcome.token_response = token_response;
+            outcome.result = result;
+        }, (req, res, next, error) => {
+            failure = error;
+        })(req, {}, (error) => {
+            failure = error;
+        }).then(() => {
+            if (failure) return Promise.reject(failure);
+            return outcome;
+        });
+    });
+}
+
+module.exports = {
+    channel_id,
+    channel_secret,
+    start_mock,
+    create_login,
+    count_requests,
+    run,
+    authorize,
+    login_flow
+};
@@ -0,0 +1,174 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+function create_linker(){
+    let login = new line_login({
+        channel_id: "1234567890",
+        channel_secret: "channel_secret",
+        callback_url: "https://example.com/callback"
+    });
+    login.revoked = [];
+    login.revoke_access_token = (access_token) => {
+        login.revoked.push(access_token);
+        return Promise.resolve();
+    }
+    return new line_login.AccountLinker(login, {repository: new line_login.MemoryAccountRepository()});
+}
+
+// Result of callback() with decoded id token.
+function create_result(line_user_id){
+    return {
+        channel_id: "1234567890",
+        token_response: {
+            access_token: `access_token_${line_user_id}`,
+            refresh_token: `refresh_token_${line_user_id}`,
+            id_token: {sub: line_user_id}
+        }
+    }
+}
+
+describe("Test account linker", function(){
+    describe("Constructor", function(){
+        it("should throw error if repository is missing.", function(){
+            (() => new line_login.AccountLinker({})).should.throw(/repository/);
+        });
+
+        it("should throw error if repository does not implement required methods.", function(){
+            (() => new line_login.AccountLinker({}, {repository: {save: () => {}}})).should.throw(/find_by_line_user_id, find_by_app_user_id, delete/);
+        });
+    });
+
+    describe("link()", function(){
+        it("should save link with tokens of the result.", function(){
+            const linker = create_linker();
+            return linker.link("app1", create_result("U1")).then((link) => {
+                link.should.have.property("line_user_id").and.equal("U1");
+                link.should.have.property("app_user_id").and.equal("app1");
+                link.should.have.property("linked_at").and.be.a("number");
+                link.should.have.property("access_token").and.equal("access_token_U1");
+                link.should.have.property("refresh_token").and.equal("refresh_token_U1");
+                return linker.find("U1");
+            }).then((link) => {
+                link.should.have.property("app_user_id").and.equal("app1");
+            });
+        });
+
+        it("should accept User and user id.", function(){
+            const linker = create_linker();
+            return linker.link("app1", new line_login.User({user_id: "U1"})).then((link) => {
+                link.should.have.property("line_user_id").and.equal("U1");
+                return linker.link("app2", "U2");
+            }).then((link) => {
+                link.should.have.property("line_user_id").and.equal("U2");
+                link.should.not.have.property("access_token");
+            });
+        });
+
+        it("should update tokens when the same pair is linked again.", function(){
+            const linker = create_linker();
+            let linked_at;
+            return linker.link("app1", "U1").then((link) => {
+                linked_at = link.linked_at;
+                return linker.link("app1", create_result("U1"));
+            }).then((link) => {
+                link.should.have.property("linked_at").and.equal(linked_at);
+                link.should.have.property("access_token").and.equal("access_token_U1");
+            });
+        });
+
+        it("should reject with AccountLinkConflictError if LINE user is linked to another app user.", function(){
+            const linker = create_linker();
+            return linker.link("app1", "U1").then(() => {
+                return linker.link("app2", "U1").should.be.rejectedWith(line_login.AccountLinkConflictError);
+            }).then((error) => {
+                error.should.have.property("line_user_id").and.equal("U1");
+                error.should.have.property("app_user_id").and.equal("app1");
+                return linker.find_by_app_user_id("app2");
+            }).then((link) => {
+                should.not.exist(link);
+            });
+        });
+
+        it("should reject with AccountLinkConflictError if app user is linked to another LINE user.", function(){
+            const linker = create_linker();
+            return linker.link("app1", "U1").then(() => {
+                return linker.link("app1", "U2").should.be.rejectedWith(line_login.AccountLinkConflictError);
+            }).then((error) => {
+                error.should.have.property("line_user_id").and.equal("U1");
+                return linker.find("U2");
+            }).then((link) => {
+                should.not.exist(link);
+            });
+        });
+
+        it("should reject if user id of LINE is not found.", function(){
+            const linker = create_linker();
+            return linker.link("app1", {token_response: {access_token: "access_token"}}).should.be.rejectedWith(/User id of LINE is not found/);
+        });
+    });
+
+    describe("find()", function(){
+        it("should resolve null if LINE user is not linked.", function(){
+            const linker = create_linker();
+            return linker.find(create_result("U1")).then((link) => {
+                should.equal(link, null);
+            });
+        });
+    });
+
+    describe("unlink()", function(){
+        it("should revoke access token and delete link.", function(){
+            const linker = create_linker();
+            return linker.link("app1", create_result("U1")).then(() => {
+                return linker.unlink("app1");
+            }).then((link) => {
+                link.should.have.property("line_user_id").and.equal("U1");
+                linker.line_login.revoked.should.deep.equal(["access_token_U1"]);
+                return linker.find("U1");
+            }).then((link) => {
+                should.not.exist(link);
+                return linker.link("app2", "U1");
+            }).then((link) => {
+                link.should.have.property("app_user_id").and.equal("app2");
+            });
+        });
+
+        it("should delete link even if revocation failed.", function(){
+            const linker = create_linker();
+            linker.line_login.revoke_access_token = () => Promise.reject(new line_login.InvalidTokenError("Access token is invalid."));
+            return linker.link("app1", create_result("U1")).then(() => {
+                return linker.unlink("app1");
+            }).then(() => {
+                return linker.find("U1");
+            }).then((link) => {
+                should.not.exist(link);
+            });
+        });
+
+        it("should not revoke access token if revoke is false.", function(){
+            const linker = create_linker();
+            return linker.link("app1", create_result("U1")).then(() => {
+                return linker.unlink("app1", {revoke: false});
+            }).then(() => {
+                linker.line_login.revoked.should.have.lengthOf(0);
+            });
+        });
+
+        it("should resolve null if app user is not linked.", function(){
+            const linker = create_linker();
+            return linker.unlink("app1").then((link) => {
+                should.equal(link, null);
+                linker.line_login.revoked.should.have.lengthOf(0);
+            });
+        });
+    });
+});
@@ -0,0 +1,216 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const http = require("http");
+const express = require("express");
+const Koa = require("koa");
+const fastify = require("fastify");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+function create_login(){
+    let login = new line_login({
+        channel_id: "1234567890",
+        channel_secret: "channel_secret",
+        callback_url: "https://example.com/callback",
+        verify_id_token: false,
+        store: new line_login.CookieStore({secret: "secret", secure: false})
+    });
+    login.issue_access_token = (code) => Promise.resolve({access_token: `access_token_for_${code}`});
+    return login;
+}
+
+// Send GET request to local server and resolve with status code, headers and body.
+function get(port, path, cookie){
+    return new Promise((resolve, reject) => {
+        http.get({port: port, path: path, headers: cookie ? {cookie: cookie} : {}}, (res) => {
+            let body = "";
+            res.on("data", (chunk) => { body += chunk; });
+            res.on("end", () => resolve({status_code: res.statusCode, headers: res.headers, body: body}));
+        }).on("error", reject);
+    });
+}
+
+// Run login flow against local server listening to port.
+function run_flow(port){
+    let cookie;
+    return get(port, "/auth").then((response) => {
+        response.status_code.should.equal(302);
+        response.headers.location.should.include("https://access.line.me/oauth2/v2.1/authorize?");
+        cookie = response.headers["set-cookie"].map((c) => c.split(";")[0]).join("; ");
+        const state = response.headers.location.match(/state=([^&]+)/)[1];
+        return get(port, `/callback?code=code&state=${state}`, cookie);
+    }).then((response) => {
+        response.status_code.should.equal(200);
+        JSON.parse(response.body).should.have.property("access_token").and.equal("access_token_for_code");
+        return get(port, "/callback?error=access_denied&state=unknown_state", cookie);
+    }).then((response) => {
+        response.status_code.should.equal(400);
+        response.body.should.equal("StateMismatchError");
+    });
+}
+
+describe("Test adapter", function(){
+    describe("Express adapter.", function(){
+        it("should complete login flow.", function(){
+            const login = create_login();
+            let app = express();
+            app.get("/auth", login.auth());
+            app.get("/callback", login.callback((req, res, next, token_response) => {
+                res.json(token_response);
+            }, (req, res, next, error) => {
+                res.status(400).send(error.name);
+            }));
+            const server = app.listen(0);
+            return run_flow(server.address().port).finally(() => server.close());
+        });
+    });
+
+    describe("Koa adapter.", function(){
+        it("should complete login flow.", function(){
+            const adapter = new line_login.KoaAdapter(create_login());
+            const auth = adapter.auth();
+            const callback = adapter.callback((ctx, next, token_response) => {
+                ctx.body = token_response;
+            }, (ctx, next, error) => {
+                ctx.status = 400;
+                ctx.body = error.name;
+            });
+            let app = new Koa();
+            app.use((ctx, next) => {
+                if (ctx.path === "/auth") return auth(ctx, next);
+                if (ctx.path === "/callback") return callback(ctx, next);
+                return next();
+            });
+            const server = app.listen(0);
+            return run_flow(server.address().port).finally(() => server.close());
+        });
+    });
+
+    describe("Fastify adapter.", function(){
+        it("should complete login flow.", function(){
+            const adapter = new line_login.FastifyAdapter(create_login());
+            let app = fastify();
+            app.get("/auth", adapter.auth());
+            app.get("/callback", adapter.callback((request, reply, token_response) => {
+                reply.send(token_response);
+            }, (request, reply, error) => {
+                reply.code(400).send(error.name);
+            }));
+            return app.listen({port: 0}).then(() => {
+                return run_flow(app.server.address().port);
+            }).finally(() => app.close());
+        });
+    });
+
+    describe("Http adapter.", function(){
+        it("should complete login flow.", function(){
+            const adapter = new line_login.HttpAdapter(create_login());
+            const auth = adapter.auth();
+            const callback = adapter.callback((req, res, token_response) => {
+                res.setHeader("Content-Type", "application/json");
+                res.end(JSON.stringify(token_response));
+            }, (req, res, error) => {
+                res.statusCode = 400;
+                res.end(error.name);
+            });
+            const server = http.createServer((req, res) => {
+                if (req.url.startsWith("/auth")) return auth(req, res);
+                if (req.url.startsWith("/callback")) return callback(req, res);
+                res.statusCode = 404;
+                res.end();
+            }).listen(0);
+            return run_flow(server.address().port).finally(() => server.close());
+        });
+    });
+
+    describe("Http adapter without failure callback.", function(){
+        it("should respond 400.", function(){
+            const adapter = new line_login.HttpAdapter(create_login());
+            const server = http.createServer(adapter.callback(() => {})).listen(0);
+            return get(server.address().port, "/callback?code=code&state=unknown_state").then((response) => {
+                response.status_code.should.equal(400);
+            }).finally(() => server.close());
+        });
+    });
+
+    describe("Http adapter without failure callback on error of token exchange.", function(){
+        // Start login and send callback to server of HttpAdapter whose token exchange rejects with error.
+        function callback_with_error(error){
+            let login = create_login();
+            login.issue_access_token = () => Promise.reject(error);
+            const adapter = new line_login.HttpAdapter(login);
+            const auth = adapter.auth();
+            const callback = adapter.callback(() => {});
+            const server = http.createServer((req, res) => {
+                if (req.url.startsWith("/auth")) return auth(req, res);
+                return callback(req, res);
+            }).listen(0);
+            return get(server.address().port, "/auth").then((response) => {
+                const cookie = response.headers["set-cookie"].map((c) => c.split(";")[0]).join("; ");
+                const state = response.headers.location.match(/state=([^&]+)/)[1];
+                return get(server.address().port, `/callback?code=code&state=${state}`, cookie);
+            }).finally(() => server.close());
+        }
+
+        it("should respond 400 with message if authorization code is invalid.", function(){
+            return callback_with_error(new line_login.InvalidGrantError("Bad Request", {status_code: 400, error: "invalid_grant"})).then((response) => {
+                response.status_code.should.equal(400);
+                response.body.should.equal("Bad Request");
+            });
+        });
+
+        it("should respond 400 with message if ID token is invalid.", function(){
+            return callback_with_error(new line_login.IdTokenNonceError("ID token has invalid nonce.")).then((response) => {
+                response.status_code.should.equal(400);
+                response.body.should.equal("ID token has invalid nonce.");
+            });
+        });
+
+        it("should respond 500 without message on unexpected error.", function(){
+            return callback_with_error(new Error("getaddrinfo ENOTFOUND api.line.me")).then((response) => {
+                response.status_code.should.equal(500);
+                response.body.should.equal("Internal Server Error");
+            });
+        });
+    });
+
+    describe("Http adapter with handler which throws.", function(){
+        it("should respond 500 when success handler throws.", function(){
+            const adapter = new line_login.HttpAdapter(create_login());
+            const auth = adapter.auth();
+            const callback = adapter.callback(() => {
+                throw new Error("success handler threw");
+            });
+            const server = http.createServer((req, res) => {
+                if (req.url.startsWith("/auth")) return auth(req, res);
+                return callback(req, res);
+            }).listen(0);
+            return get(server.address().port, "/auth").then((response) => {
+                const cookie = response.headers["set-cookie"].map((c) => c.split(";")[0]).join("; ");
+                const state = response.headers.location.match(/state=([^&]+)/)[1];
+                return get(server.address().port, `/callback?code=code&state=${state}`, cookie);
+            }).then((response) => {
+                response.status_code.should.equal(500);
+                response.body.should.equal("Internal Server Error");
+            }).finally(() => server.close());
+        });
+
+        it("should respond 500 when failure handler throws.", function(){
+            const adapter = new line_login.HttpAdapter(create_login());
+            const server = http.createServer(adapter.callback(() => {}, () => {
+                throw new Error("failure handler threw");
+            })).listen(0);
+            return get(server.address().port, "/callback?code=code&state=unknown_state").then((response) => {
+                response.status_code.should.equal(500);
+                response.body.should.equal("Internal Server Error");
+            }).finally(() => server.close());
+        });
+    });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+let login = new line_login({
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback",
+    scope: "profile openid",
+    bot_prompt: "normal"
+});
+
+// Parse query string of authorization URL.
+function parse(url){
+    return Object.assign({}, require("querystring").parse(url.split("?")[1]));
+}
+
+describe("Test auth options", function(){
+    describe("Make auth url without options.", function(){
+        it("should use options of constructor.", function(){
+            const query = parse(login.make_auth_url("state", "nonce"));
+            query.scope.should.equal("profile openid");
+            query.bot_prompt.should.equal("normal");
+            should.not.exist(query.prompt);
+            should.not.exist(query.ui_locales);
+        });
+    });
+
+    describe("Make auth url with options.", function(){
+        it("should override options of constructor and add parameters.", function(){
+            const query = parse(login.make_auth_url("state", "nonce", {
+                scope: "profile openid email",
+                prompt: "consent",
+                bot_prompt: "aggressive",
+                ui_locales: "ja-JP en-US",
+                max_age: 0,
+                initial_amr_display: "lineqr",
+                disable_auto_login: true
+            }));
+            query.scope.should.equal("profile openid email");
+            query.prompt.should.equal("consent");
+            query.bot_prompt.should.equal("aggressive");
+            query.ui_locales.should.equal("ja-JP en-US");
+            query.max_age.should.equal("0");
+            query.initial_amr_display.should.equal("lineqr");
+            query.disable_auto_login.should.equal("true");
+        });
+    });
+
+    describe("Make auth url with invalid options.", function(){
+        it("should throw error.", function(){
+            (() => login.make_auth_url("state", "nonce", {scope: "profile phone"})).should.throw("Invalid value for scope: phone. Supported values are profile, openid, email.");
+            (() => login.make_auth_url("state", "nonce", {bot_prompt: "always"})).should.throw("Invalid value for bot_prompt: always. Supported values are normal, aggressive.");
+            (() => login.make_auth_url("state", "nonce", {prompt: "concent"})).should.throw("Invalid value for prompt: concent. Supported values are consent, none.");
+            (() => login.make_auth_url("state", "nonce", {max_age: -1})).should.throw("Invalid value for max_age: -1. Set non-negative integer.");
+            (() => login.make_auth_url("state", "nonce", {ui_locales: "ja_JP"})).should.throw("Invalid value for ui_locales: ja_JP. Set space separated language tags.");
+            (() => login.make_auth_url("state", "nonce", {initial_amr_display: "qr"})).should.throw("Invalid value for initial_amr_display: qr. Supported values are lineqr.");
+            (() => login.make_auth_url("state", "nonce", {disable_auto_login: "yes"})).should.throw("Invalid value for disable_auto_login: yes. Set boolean.");
+            (() => login.make_auth_url("state", "nonce", {unknown: "value"})).should.throw("unknown is not a valid parameter of authorization request.");
+        });
+    });
+
+    describe("Mount auth middleware with invalid options.", function(){
+        it("should throw error.", function(){
+            (() => login.auth({scope: "phone"})).should.throw("Invalid value for scope: phone. Supported values are profile, openid, email.");
+        });
+    });
+
+    describe("Start authorization on different routes.", function(){
+        it("should request different scopes.", function(){
+            let urls = [];
+            let res = {redirect: (url) => urls.push(url)};
+            return login.auth()({session: {}}, res, () => {}).then(() => {
+                return login.auth({scope: "profile openid email"})({session: {}}, res, () => {});
+            }).then(() => {
+                parse(urls[0]).scope.should.equal("profile openid");
+                parse(urls[1]).scope.should.equal("profile openid email");
+            });
+        });
+    });
+
+    describe("Start authorization with code_challenge option.", function(){
+        it("should ignore it.", function(){
+            let url;
+            return login.auth({code_challenge: "challenge"})({session: {}}, {redirect: (u) => { url = u; }}, () => {}).then(() => {
+                should.not.exist(parse(url).code_challenge);
+            });
+        });
+    });
+});
@@ -0,0 +1,155 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { channel_id, start_mock, create_login, count_requests } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Run middleware and resolve with req and response.
+function run(middleware, authorization){
+    let req = {headers: {}};
+    if (authorization) req.headers.authorization = authorization;
+    let response = {headers: {}};
+    let res = {
+        set: (name, value) => { response.headers[name] = value; return res; },
+        status: (status) => { response.status = status; return res; },
+        json: (body) => { response.body = body; return res; }
+    }
+    return new Promise((resolve, reject) => {
+        middleware(req, res, (error) => {
+            if (error) return reject(error);
+            resolve({req: req, response: response});
+        }).then(() => {
+            if (response.status) resolve({req: req, response: response});
+        });
+    });
+}
+
+const verify = "GET /oauth2/v2.1/verify";
+
+describe("Test bearer authentication", function(){
+    let mock;
+    let login;
+    let authorization;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    beforeEach(function(){
+        login = create_login(mock);
+        authorization = `Bearer ${mock.issue_tokens("U1234").access_token}`;
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    // Run test against mock server which issues access token expiring in expires_in seconds.
+    function with_short_lived_token(expires_in, test){
+        let short_mock;
+        return start_mock({expires_in: expires_in}).then((started) => {
+            short_mock = started;
+            return test(create_login(short_mock), `Bearer ${short_mock.issue_tokens("U1234").access_token}`);
+        }).finally(() => short_mock.close());
+    }
+
+    it("should set verified access token to req.", function(){
+        return run(login.authenticate_bearer(), authorization).then((r) => {
+            r.req.line_access_token.client_id.should.equal(channel_id);
+            r.req.line_access_token.access_token.should.equal(authorization.split(" ")[1]);
+            should.not.exist(r.req.line_user);
+        });
+    });
+
+    it("should set User to req.line_user if fetch_profile is true.", function(){
+        return run(login.authenticate_bearer({fetch_profile: true}), authorization).then((r) => {
+            r.req.line_user.should.be.an.instanceof(line_login.User);
+            r.req.line_user.user_id.should.equal("U1234");
+            r.req.line_user.display_name.should.equal("Taro");
+        });
+    });
+
+    it("should respond 401 if Authorization header is missing.", function(){
+        return run(login.authenticate_bearer()).then((r) => {
+            r.response.status.should.equal(401);
+            r.response.headers["WWW-Authenticate"].should.equal(`Bearer realm="line-login"`);
+            count_requests(login, verify).should.equal(0);
+        });
+    });
+
+    it("should respond 401 if access token is invalid.", function(){
+        return run(login.authenticate_bearer(), "Bearer invalid").then((r) => {
+            r.response.status.should.equal(401);
+            r.response.body.error.should.equal("invalid_token");
+            r.response.headers["WWW-Authenticate"].should.include(`error="invalid_token"`);
+        });
+    });
+
+    it("should respond 401 if access token is issued for other channel.", function(){
+        return run(login.authenticate_bearer({channel_id: "9999999999"}), authorization).then((r) => {
+            r.response.status.should.equal(401);
+            r.response.body.error_description.should.equal("Access token is issued for other channel.");
+        });
+    });
+
+    it("should respond 401 if access token is expired.", function(){
+        return with_short_lived_token(1, (login, authorization) => {
+            // Mock server responds expires_in of 0 once less than a second is left.
+            return new Promise((resolve) => setTimeout(resolve, 10)).then(() => run(login.authenticate_bearer(), authorization));
+        }).then((r) => {
+            r.response.status.should.equal(401);
+        });
+    });
+
+    it("should respond 403 if access token lacks required scope.", function(){
+        return run(login.authenticate_bearer({scope: ["profile", "email"]}), authorization).then((r) => {
+            r.response.status.should.equal(403);
+            r.response.body.error.should.equal("insufficient_scope");
+            r.response.headers["WWW-Authenticate"].should.include(`scope="profile email"`);
+        });
+    });
+
+    it("should pass other errors to next().", function(){
+        mock.inject_error("/oauth2/v2.1/verify", {status_code: 500});
+        return run(login.authenticate_bearer(), authorization).should.be.rejectedWith(line_login.ServerError);
+    });
+
+    it("should cache positive result.", function(){
+        const middleware = login.authenticate_bearer();
+        return run(middleware, authorization).then(() => {
+            return run(middleware, authorization);
+        }).then((r) => {
+            r.req.line_access_token.client_id.should.equal(channel_id);
+            count_requests(login, verify).should.equal(1);
+        });
+    });
+
+    it("should not cache if cache_ttl is 0.", function(){
+        const middleware = login.authenticate_bearer({cache_ttl: 0});
+        return run(middleware, authorization).then(() => {
+            return run(middleware, authorization);
+        }).then(() => {
+            count_requests(login, verify).should.equal(2);
+        });
+    });
+
+    it("should not cache beyond expiration of access token.", function(){
+        // Access token expires in 2 seconds while cache_ttl is 300 seconds by default.
+        return with_short_lived_token(2, (login, authorization) => {
+            const authenticator = new line_login.BearerAuthenticator(login);
+            return authenticator.authenticate(authorization).then(() => {
+                const entry = authenticator.cache.values().next().value;
+                entry.expires_at.should.be.at.most(Date.now() + 2000);
+            });
+        });
+    });
+});
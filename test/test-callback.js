@@ -0,0 +1,110 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+let login = new line_login({
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback"
+});
+
+// Run auth() and return request which has the session and state of the login attempt.
+function start_auth(){
+    let req = {session: {}, query: {}};
+    let res = {redirect: (url) => { req.query.state = url.match(/state=([^&]+)/)[1]; }};
+    return login.auth()(req, res, () => {}).then(() => req);
+}
+
+// Run callback() and resolve with error passed to failure callback.
+function run_callback(req){
+    return new Promise((resolve, reject) => {
+        login.callback(() => {
+            reject(new Error("Success callback should not be called."));
+        }, (req, res, next, error) => {
+            resolve(error);
+        })(req, {}, () => {});
+    });
+}
+
+describe("Test callback", function(){
+    describe("User cancelled authorization.", function(){
+        it("should call failure callback with AuthorizationError of access_denied and consume login attempt.", function(){
+            let req;
+            return start_auth().then((auth_req) => {
+                req = auth_req;
+                req.query.error = "access_denied";
+                req.query.error_description = "The user has denied the approval";
+                return run_callback(req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.AuthorizationError);
+                error.should.have.property("error").and.equal("access_denied");
+                error.should.have.property("error_description").and.equal("The user has denied the approval");
+                req.session.line_login[req.query.state].should.have.property("consumed_at");
+                req.session.line_login[req.query.state].should.not.have.property("nonce");
+            });
+        });
+    });
+
+    describe("LINE had a server error.", function(){
+        it("should call failure callback with AuthorizationError of server_error.", function(){
+            return start_auth().then((req) => {
+                req.query.error = "server_error";
+                return run_callback(req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.AuthorizationError);
+                error.should.have.property("error").and.equal("server_error");
+            });
+        });
+    });
+
+    describe("Error redirect with unknown state.", function(){
+        it("should call failure callback with StateMismatchError.", function(){
+            return start_auth().then((req) => {
+                req.query.state = "unknown_state";
+                req.query.error = "access_denied";
+                return run_callback(req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateMismatchError);
+            });
+        });
+    });
+
+    describe("Error redirect without state.", function(){
+        it("should call failure callback with StateMismatchError.", function(){
+            return run_callback({session: {}, query: {error: "access_denied"}}).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateMismatchError);
+            });
+        });
+    });
+
+    describe("handle_callback()", function(){
+        it("should resolve with result.", function(){
+            const issue_access_token = login.issue_access_token;
+            login.issue_access_token = () => Promise.resolve({access_token: "access_token"});
+            return start_auth().then((req) => {
+                req.query.code = "code";
+                return login.handle_callback(req, {});
+            }).then((result) => {
+                result.token_response.access_token.should.equal("access_token");
+                result.channel_id.should.equal("1234567890");
+            }).finally(() => {
+                login.issue_access_token = issue_access_token;
+            });
+        });
+
+        it("should reject with typed error.", function(){
+            return start_auth().then((req) => {
+                req.query.error = "access_denied";
+                return login.handle_callback(req, {});
+            }).should.be.rejectedWith(line_login.AuthorizationError);
+        });
+    });
+});
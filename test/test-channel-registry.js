@@ -0,0 +1,149 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+function create_registry(options){
+    let registry = new line_login.ChannelRegistry(Object.assign({
+        defaults: {
+            verify_id_token: false
+        },
+        channels: [{
+            name: "brand_a",
+            hostname: "brand-a.example.com",
+            channel_id: "1111111111",
+            channel_secret: "secret_a",
+            callback_url: "https://brand-a.example.com/callback"
+        },{
+            name: "brand_b",
+            path_prefix: "/brand-b/",
+            channel_id: "2222222222",
+            channel_secret: "secret_b",
+            callback_url: "https://example.com/brand-b/callback"
+        }]
+    }, options));
+    registry.channels.map((channel) => {
+        channel.line_login.issue_access_token = () => Promise.resolve({access_token: `access_token_${channel.name}`});
+    });
+    return registry;
+}
+
+// Run auth() and resolve with redirected url and state.
+function start(registry, req){
+    return new Promise((resolve, reject) => {
+        registry.auth()(req, {redirect: (url) => {
+            resolve({url: url, state: url.match(/state=([^&]+)/)[1]});
+        }}, reject);
+    });
+}
+
+function finish(registry, req){
+    return new Promise((resolve, reject) => {
+        registry.callback((req, res, next, token_response, result) => {
+            resolve({token_response: token_response, result: result});
+        }, (req, res, next, error) => {
+            reject(error);
+        })(req, {}, () => {});
+    });
+}
+
+describe("Test channel registry", function(){
+    describe("Resolve channel", function(){
+        it("should resolve channel by hostname.", function(){
+            let registry = create_registry();
+            return registry.resolve({hostname: "brand-a.example.com", url: "/auth"}).then((channel) => {
+                channel.name.should.equal("brand_a");
+                channel.line_login.channel_id.should.equal("1111111111");
+            });
+        });
+
+        it("should resolve channel by host header without port.", function(){
+            let registry = create_registry();
+            return registry.resolve({headers: {host: "brand-a.example.com:3000"}, url: "/auth"}).then((channel) => {
+                channel.name.should.equal("brand_a");
+            });
+        });
+
+        it("should resolve channel by path prefix.", function(){
+            let registry = create_registry();
+            return registry.resolve({hostname: "example.com", originalUrl: "/brand-b/auth"}).then((channel) => {
+                channel.name.should.equal("brand_b");
+            });
+        });
+
+        it("should resolve channel by resolver prior to hostname.", function(){
+            let registry = create_registry({
+                resolver: (req) => Promise.resolve(req.query.brand)
+            });
+            return registry.resolve({hostname: "brand-a.example.com", url: "/auth", query: {brand: "brand_b"}}).then((channel) => {
+                channel.name.should.equal("brand_b");
+            });
+        });
+
+        it("should reject with ChannelNotFoundError if no channel matches.", function(){
+            let registry = create_registry();
+            return registry.resolve({hostname: "example.com", url: "/auth"}).should.be.rejectedWith(line_login.ChannelNotFoundError);
+        });
+
+        it("should throw error if channel name is duplicated.", function(){
+            (() => {
+                new line_login.ChannelRegistry({
+                    channels: [{
+                        name: "brand_a", channel_id: "1", channel_secret: "s", callback_url: "https://example.com/callback"
+                    },{
+                        name: "brand_a", channel_id: "2", channel_secret: "s", callback_url: "https://example.com/callback"
+                    }]
+                });
+            }).should.throw("Channel brand_a is duplicated.");
+        });
+    });
+
+    describe("Login flow", function(){
+        it("should redirect with client_id of resolved channel and pass channel to success callback.", function(){
+            let registry = create_registry();
+            let session = {};
+            return start(registry, {hostname: "brand-a.example.com", url: "/auth", session: session, query: {}}).then((response) => {
+                response.url.should.include("client_id=1111111111");
+                response.url.should.include(encodeURIComponent("https://brand-a.example.com/callback"));
+                return finish(registry, {hostname: "brand-a.example.com", url: "/callback", session: session, query: {code: "code", state: response.state}});
+            }).then((response) => {
+                response.token_response.access_token.should.equal("access_token_brand_a");
+                response.result.channel.should.equal("brand_a");
+                response.result.channel_id.should.equal("1111111111");
+            });
+        });
+
+        it("should reject state issued for other channel sharing the session.", function(){
+            let registry = create_registry();
+            let session = {};
+            return start(registry, {hostname: "brand-a.example.com", url: "/auth", session: session, query: {}}).then((response) => {
+                return finish(registry, {hostname: "example.com", url: "/brand-b/callback", session: session, query: {code: "code", state: response.state}});
+            }).should.be.rejectedWith(line_login.StateMismatchError);
+        });
+
+        it("should call failure callback with ChannelNotFoundError if no channel matches.", function(){
+            let registry = create_registry();
+            return finish(registry, {hostname: "example.com", url: "/callback", session: {}, query: {code: "code", state: "state"}}).should.be.rejectedWith(line_login.ChannelNotFoundError);
+        });
+
+        it("should pass error thrown by failure callback to next().", function(){
+            let registry = create_registry();
+            return new Promise((resolve, reject) => {
+                registry.callback(() => {
+                    reject(new Error("Success callback should not be called."));
+                }, () => {
+                    throw new Error("failure handler threw");
+                })({hostname: "example.com", url: "/callback", session: {}, query: {code: "code", state: "state"}}, {}, resolve);
+            }).then((error) => {
+                error.message.should.equal("failure handler threw");
+            });
+        });
+    });
+});
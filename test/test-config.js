@@ -0,0 +1,127 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const valid_options = {
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback"
+}
+
+// Create instance and return thrown error.
+function configure(options){
+    try {
+        new line_login(options);
+    } catch(exception){
+        return exception;
+    }
+    return null;
+}
+
+describe("Test configuration", function(){
+    describe("Valid options", function(){
+        it("should create instance.", function(){
+            should.not.exist(configure(Object.assign({
+                scope: "openid profile email",
+                prompt: "consent",
+                bot_prompt: "aggressive",
+                pkce: true,
+                store: new line_login.MemoryStore(),
+                allowed_return_to: ["/mypage/", "https://shop.example.com"]
+            }, valid_options)));
+        });
+
+        it("should allow http callback_url of localhost.", function(){
+            should.not.exist(configure(Object.assign({}, valid_options, {callback_url: "http://localhost:5000/callback"})));
+        });
+    });
+
+    describe("Invalid options", function(){
+        it("should keep message of single error.", function(){
+            let error = configure({channel_id: "1234567890", channel_secret: "channel_secret"});
+            error.should.be.an.instanceof(line_login.ConfigurationError);
+            error.should.be.an.instanceof(line_login.LineLoginError);
+            error.message.should.equal("Required parameter callback_url is missing.");
+        });
+
+        it("should aggregate all the problems.", function(){
+            let error = configure({
+                channel_secret: "channel_secret",
+                callback_url: "http://example.com/callback",
+                prompt: "concent",
+                bot_prompt: "always",
+                scope: "openid profile friends",
+                pkce: "true",
+                store: {get: () => {}},
+                invalid_param: "invalid_param"
+            });
+            error.errors.should.deep.equal([
+                "Required parameter channel_id is missing.",
+                "Invalid value for callback_url: http://example.com/callback. Set https URL.",
+                "Invalid value for prompt: concent. Supported values are consent, none.",
+                "Invalid value for bot_prompt: always. Supported values are normal, aggressive.",
+                "Invalid value for scope: friends. Supported values are profile, openid, email.",
+                "Invalid value for pkce: true. Set boolean.",
+                "Invalid value for store. It has to implement set, delete.",
+                "invalid_param is not a valid parameter."
+            ]);
+            error.message.should.equal(error.errors.join(" "));
+        });
+
+        it("should reject relative callback_url.", function(){
+            configure(Object.assign({}, valid_options, {callback_url: "/callback"})).message.should.equal("Invalid value for callback_url: /callback. Set absolute URL.");
+        });
+
+        it("should reject invalid allowed_return_to.", function(){
+            configure(Object.assign({}, valid_options, {allowed_return_to: ["/", "//evil.example.com", "javascript:alert(1)"]})).message.should.equal(`Invalid value for allowed_return_to: //evil.example.com, javascript:alert(1). Set path starting with "/" or absolute URL.`);
+        });
+    });
+
+    describe("from_env()", function(){
+        it("should create instance from LINE_LOGIN_* environment variables.", function(){
+            let login = line_login.from_env({}, {
+                LINE_LOGIN_CHANNEL_ID: "1234567890",
+                LINE_LOGIN_CHANNEL_SECRET: "channel_secret",
+                LINE_LOGIN_CALLBACK_URL: "https://example.com/callback",
+                LINE_LOGIN_SCOPE: "openid email",
+                LINE_LOGIN_PKCE: "true",
+                LINE_LOGIN_VERIFY_ID_TOKEN: "false",
+                LINE_LOGIN_ALLOWED_RETURN_TO: "/mypage/, https://shop.example.com",
+                LINE_LOGIN_UNRELATED: "ignored"
+            });
+            login.channel_id.should.equal("1234567890");
+            login.scope.should.equal("openid email");
+            login.pkce.should.equal(true);
+            login.verify_id_token_in_callback.should.equal(false);
+            login.allowed_return_to.should.deep.equal(["/mypage/", "https://shop.example.com"]);
+        });
+
+        it("should give precedence to options.", function(){
+            const store = new line_login.MemoryStore();
+            let login = line_login.from_env({store: store, scope: "openid"}, {
+                LINE_LOGIN_CHANNEL_ID: "1234567890",
+                LINE_LOGIN_CHANNEL_SECRET: "channel_secret",
+                LINE_LOGIN_CALLBACK_URL: "https://example.com/callback",
+                LINE_LOGIN_SCOPE: "openid email"
+            });
+            login.store.should.equal(store);
+            login.scope.should.equal("openid");
+        });
+
+        it("should throw ConfigurationError for invalid environment variables.", function(){
+            (() => line_login.from_env({}, {
+                LINE_LOGIN_CHANNEL_SECRET: "channel_secret",
+                LINE_LOGIN_CALLBACK_URL: "https://example.com/callback",
+                LINE_LOGIN_PKCE: "yes"
+            })).should.throw(line_login.ConfigurationError, "Required parameter channel_id is missing. Invalid value for pkce: yes. Set boolean.");
+        });
+    });
+});
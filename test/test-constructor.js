@@ -6,14 +6,15 @@ const chai = require('chai');
 const debug = require("debug")("bot-express:test");
 const should = chai.should();
 const line_login = require("../module/line-login.js");
+const { channel_id, channel_secret } = require("./helper/flow");
 
 describe("Test constructor", function(){
     describe("Provide correct parameter.", function(){
         it("should create instance.", function(){
             let login = new line_login({
-                channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-                channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
-                callback_url: process.env.LINE_LOGIN_CALLBACK_URL,
+                channel_id: channel_id,
+                channel_secret: channel_secret,
+                callback_url: "https://example.com/callback",
             });
             login.should.have.property("channel_id");
         });
@@ -23,8 +24,8 @@ describe("Test constructor", function(){
         it("should throw error.", function(){
             try {
                 let login = new line_login({
-                    channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-                    channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
+                    channel_id: channel_id,
+                    channel_secret: channel_secret,
                 });
             } catch(exception){
                 exception.should.be.instanceOf(Error);
@@ -37,9 +38,9 @@ describe("Test constructor", function(){
         it("should throw error.", function(){
             try {
                 let login = new line_login({
-                    channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-                    channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
-                    callback_url: process.env.LINE_LOGIN_CALLBACK_URL,
+                    channel_id: channel_id,
+                    channel_secret: channel_secret,
+                    callback_url: "https://example.com/callback",
                     invalid_param: "invalid_param"
                 });
             } catch(exception){
@@ -0,0 +1,111 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Fake transport which responds the response set by respond().
+let fake_response;
+const transport = {
+    request: (options) => Promise.resolve(Object.assign({headers: {}}, fake_response))
+}
+
+function respond(response){
+    fake_response = response;
+}
+
+let login = new line_login({
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback",
+    transport: transport
+});
+
+describe("Test error", function(){
+
+    describe("Issue access token with invalid code.", function(){
+        it("should reject with InvalidGrantError.", function(){
+            respond({statusCode: 400, statusMessage: "Bad Request", body: JSON.stringify({error: "invalid_grant", error_description: "invalid authorization code"})});
+            return login.issue_access_token("invalid_code").catch((error) => {
+                error.should.be.an.instanceOf(line_login.InvalidGrantError);
+                error.should.be.an.instanceOf(line_login.ApiError);
+                error.should.be.an.instanceOf(line_login.LineLoginError);
+                error.should.have.property("message").and.equal("Bad Request");
+                error.should.have.property("status_code").and.equal(400);
+                error.should.have.property("error").and.equal("invalid_grant");
+                error.should.have.property("error_description").and.equal("invalid authorization code");
+                error.should.have.property("request").and.deep.equal({method: "POST", url: "https://api.line.me/oauth2/v2.1/token"});
+                return "rejected";
+            }).should.eventually.equal("rejected");
+        });
+    });
+
+    describe("Verify invalid access token.", function(){
+        it("should reject with InvalidTokenError without access token in request context.", function(){
+            respond({statusCode: 400, statusMessage: "Bad Request", body: JSON.stringify({error: "invalid_request", error_description: "access token expired"})});
+            return login.verify_access_token("invalid_access_token").catch((error) => {
+                error.should.be.an.instanceOf(line_login.InvalidTokenError);
+                error.request.url.should.equal("https://api.line.me/oauth2/v2.1/verify");
+                return "rejected";
+            }).should.eventually.equal("rejected");
+        });
+    });
+
+    describe("Get profile with invalid access token.", function(){
+        it("should reject with InvalidTokenError.", function(){
+            respond({statusCode: 401, statusMessage: "Unauthorized", body: JSON.stringify({message: "Authentication failed."})});
+            return login.get_user_profile("invalid_access_token").should.be.rejectedWith(line_login.InvalidTokenError, "Unauthorized");
+        });
+    });
+
+    describe("Get friendship status when rate limited.", function(){
+        it("should reject with RateLimitedError with retry_after.", function(){
+            respond({statusCode: 429, statusMessage: "Too Many Requests", headers: {"retry-after": "30"}, body: ""});
+            return login.get_friendship_status("access_token").should.be.rejectedWith(line_login.RateLimitedError).and.eventually.have.property("retry_after").and.equal(30);
+        });
+    });
+
+    describe("Revoke access token when LINE has server error.", function(){
+        it("should reject with ServerError.", function(){
+            respond({statusCode: 500, statusMessage: "Internal Server Error", body: "Internal Server Error"});
+            return login.revoke_access_token("access_token").should.be.rejectedWith(line_login.ServerError);
+        });
+    });
+
+    describe("Refresh access token with invalid client.", function(){
+        it("should reject with InvalidClientError.", function(){
+            respond({statusCode: 400, statusMessage: "Bad Request", body: JSON.stringify({error: "invalid_client", error_description: "invalid client_secret"})});
+            return login.refresh_access_token("refresh_token").should.be.rejectedWith(line_login.InvalidClientError);
+        });
+    });
+
+    describe("Callback without code.", function(){
+        it("should call failure callback with AuthorizationError.", function(){
+            return new Promise((resolve) => {
+                login.callback(() => {}, (req, res, next, error) => {
+                    resolve(error);
+                })({session: {line_login: {state: {nonce: "nonce"}}}, query: {state: "state"}}, {}, () => {});
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.AuthorizationError);
+            });
+        });
+    });
+
+    describe("Callback with unknown state.", function(){
+        it("should call failure callback with StateMismatchError.", function(){
+            return new Promise((resolve) => {
+                login.callback(() => {}, (req, res, next, error) => {
+                    resolve(error);
+                })({session: {}, query: {code: "code", state: "unknown_state"}}, {}, () => {});
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateMismatchError);
+            });
+        });
+    });
+});
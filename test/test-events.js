@@ -0,0 +1,107 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { channel_id, start_mock, create_login, login_flow } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const request_metadata = {method: "GET", ip: "127.0.0.1", headers: {"user-agent": "test"}};
+
+// Create LineLogin which records emitted events in login.events.
+function create_recording_login(mock, options){
+    let login = create_login(mock, options);
+    login.events = [];
+    ["authorization_started", "callback_received", "state_mismatch", "token_issued", "id_token_verified", "id_token_failed", "token_refreshed", "token_revoked"].map((event) => {
+        login.on(event, (payload) => login.events.push(payload));
+    });
+    return login;
+}
+
+// Run login flow with request metadata and resolve with token response or error.
+function flow(login, options = {}){
+    return login_flow(login, Object.assign({
+        auth_request: Object.assign({path: "/auth"}, request_metadata),
+        callback_request: Object.assign({path: "/callback"}, request_metadata)
+    }, options)).then((r) => r.token_response, (error) => error);
+}
+
+describe("Test events", function(){
+    let mock;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    it("should emit events of successful login with request metadata.", function(){
+        let login = create_recording_login(mock);
+        return flow(login).then(() => {
+            login.events.map((payload) => payload.event).should.deep.equal(["authorization_started", "callback_received", "token_issued", "id_token_verified"]);
+            login.events.map((payload) => {
+                payload.channel_id.should.equal(channel_id);
+                payload.timestamp.should.be.a("number");
+            });
+            login.events[0].request.should.deep.equal({method: "GET", path: "/auth", ip: "127.0.0.1", user_agent: "test"});
+            login.events[0].scope.should.equal("profile openid");
+            login.events[1].request.path.should.equal("/callback");
+            login.events[2].expires_in.should.equal(2592000);
+            login.events[2].duration_ms.should.be.a("number");
+            login.events[3].user_id.should.equal("U1234");
+            login.events[3].amr.should.deep.equal(["pwd"]);
+        });
+    });
+
+    it("should emit id_token_failed if id token is invalid.", function(){
+        let login = create_recording_login(mock);
+        let session = {};
+        return flow(login, {
+            session: session,
+            callback_query: (query) => {
+                session.line_login[query.state].nonce = "other nonce";
+                return query;
+            }
+        }).then((error) => {
+            error.should.be.an.instanceof(line_login.IdTokenNonceError);
+            const failed = login.events.find((payload) => payload.event === "id_token_failed");
+            failed.error.should.equal("IdTokenNonceError");
+        });
+    });
+
+    it("should emit state_mismatch with reason.", function(){
+        let login = create_recording_login(mock);
+        return flow(login, {callback_query: (query) => Object.assign(query, {state: "unknown"})}).then((error) => {
+            error.should.be.an.instanceof(line_login.StateMismatchError);
+            login.events.find((payload) => payload.event === "state_mismatch").reason.should.equal("not_found");
+            login.events.find((payload) => payload.event === "callback_received").request.path.should.equal("/callback");
+        });
+    });
+
+    it("should emit token_refreshed and token_revoked.", function(){
+        let login = create_recording_login(mock);
+        return login.refresh_access_token(mock.issue_tokens("U1234").refresh_token).then((token_response) => {
+            return login.revoke_access_token(token_response.access_token);
+        }).then(() => {
+            login.events.map((payload) => payload.event).should.deep.equal(["token_refreshed", "token_revoked"]);
+            login.events[0].expires_in.should.equal(2592000);
+        });
+    });
+
+    it("should not break login flow even if listener throws exception.", function(){
+        let login = create_recording_login(mock);
+        login.on("token_issued", () => { throw new Error("Listener error"); });
+        return flow(login).then((token_response) => {
+            token_response.should.have.property("access_token");
+        });
+    });
+});
@@ -0,0 +1,130 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login, count_requests, login_flow } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const friendship_status = "GET /friendship/v1/status";
+
+// Run login flow with friendship_status_changed given in callback. It is removed if undefined.
+function flow(login, friendship_status_changed){
+    return login_flow(login, {
+        callback_query: (query) => {
+            delete query.friendship_status_changed;
+            if (typeof friendship_status_changed !== "undefined") query.friendship_status_changed = friendship_status_changed;
+            return query;
+        }
+    }).then((r) => r.result);
+}
+
+describe("Test friendship flow", function(){
+    let mock;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    afterEach(function(){
+        mock.login_as("U1234");
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    it("should parse friendship_status_changed into Boolean.", function(){
+        let login = create_login(mock);
+        return flow(login, "true").then((result) => {
+            result.friendship_status_changed.should.equal(true);
+            return flow(login, "false");
+        }).then((result) => {
+            result.friendship_status_changed.should.equal(false);
+            return flow(login);
+        }).then((result) => {
+            should.not.exist(result.friendship_status_changed);
+            should.not.exist(result.friend_flag);
+            count_requests(login, friendship_status).should.equal(0);
+        });
+    });
+
+    it("should pass friendship_status_changed sent by LINE.", function(){
+        let login = create_login(mock, {bot_prompt: "aggressive"});
+        return login_flow(login).then((r) => {
+            r.result.friendship_status_changed.should.equal(false);
+        });
+    });
+
+    it("should retrieve friendship status if fetch_friendship_status is true.", function(){
+        mock.login_as("U5678");
+        let login = create_login(mock, {fetch_friendship_status: true});
+        return flow(login, "false").then((result) => {
+            count_requests(login, friendship_status).should.equal(1);
+            result.friend_flag.should.equal(true);
+        });
+    });
+
+    it("should call on_friend_added when user added the bot during login.", function(){
+        let called;
+        let login = create_login(mock, {
+            on_friend_added: (result, req, res) => {
+                called = result;
+                return Promise.resolve();
+            }
+        });
+        return flow(login, "true").then((result) => {
+            called.token_response.should.have.property("access_token");
+            should.exist(result);
+        });
+    });
+
+    it("should not call on_friend_added when friendship status did not change.", function(){
+        let called = false;
+        let login = create_login(mock, {
+            on_friend_added: () => { called = true; }
+        });
+        return flow(login, "false").then((result) => {
+            called.should.equal(false);
+        });
+    });
+
+    it("should retrieve friendship status and call on_not_friend when user is not a friend.", function(){
+        let called;
+        let login = create_login(mock, {
+            on_not_friend: (result) => { called = result; }
+        });
+        return flow(login).then((result) => {
+            count_requests(login, friendship_status).should.equal(1);
+            called.friend_flag.should.equal(false);
+            result.friend_flag.should.equal(false);
+        });
+    });
+
+    it("should not call success callback if hook returns false.", function(){
+        let redirected;
+        let login = create_login(mock, {
+            on_not_friend: (result, req, res) => {
+                redirected = "/add-friend";
+                return false;
+            }
+        });
+        return flow(login).then((result) => {
+            redirected.should.equal("/add-friend");
+            should.not.exist(result);
+        });
+    });
+
+    it("should call failure callback if retrieving friendship status failed.", function(){
+        let login = create_login(mock, {fetch_friendship_status: true});
+        mock.inject_error("/friendship/v1/status", {status_code: 401, body: {message: "Authentication failed."}});
+        return flow(login).should.be.rejectedWith(line_login.InvalidTokenError);
+    });
+});
@@ -0,0 +1,208 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const line_login = require("../index.js");
+const Jwks = require("../module/jwks.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const channel_id = "1234567890";
+const channel_secret = "channel_secret";
+const key_pair = crypto.generateKeyPairSync("ec", {namedCurve: "P-256"});
+let jwk = Jwks._to_jwk(key_pair.publicKey);
+jwk.kid = "key1";
+jwk.alg = "ES256";
+
+function now(){
+    return Math.floor(Date.now() / 1000);
+}
+
+function sign(claims, options = {}){
+    const payload = Object.assign({
+        iss: "https://access.line.me",
+        sub: "U1234",
+        aud: channel_id,
+        exp: now() + 3600,
+        iat: now(),
+        amr: ["pwd"]
+    }, claims);
+    if (options.es256){
+        return jwt.sign(payload, key_pair.privateKey.export({type: "pkcs8", format: "pem"}), {algorithm: "ES256", keyid: "key1"});
+    }
+    return jwt.sign(payload, options.secret || channel_secret, {algorithm: "HS256"});
+}
+
+function create_login(options){
+    return new line_login(Object.assign({
+        channel_id: channel_id,
+        channel_secret: channel_secret,
+        callback_url: "https://example.com/callback",
+        jwks_fetcher: () => Promise.resolve({keys: [jwk]})
+    }, options));
+}
+
+// Run auth() and callback() with id token made by make_id_token(nonce). Resolves with calls of success callback, failure callback and next().
+function login_flow(login, make_id_token, options = {}){
+    let req = {session: {}, query: {}};
+    let calls = {success: [], failure: [], next: []};
+    return login.auth(options.auth_options)(req, {redirect: (url) => { req.query.state = url.match(/state=([^&]+)/)[1]; }}, () => {}).then(() => {
+        const nonce = req.session.line_login[req.query.state].nonce;
+        login.issue_access_token = () => Promise.resolve({access_token: "access_token", id_token: make_id_token(nonce)});
+        req.query.code = "code";
+        return login.callback((req, res, next, token_response, result) => {
+            calls.success.push(result);
+            if (options.throw_in_success) throw new Error("Error in success callback.");
+        }, (req, res, next, error) => {
+            calls.failure.push(error);
+        })(req, {}, (error) => {
+            calls.next.push(error);
+        });
+    }).then(() => calls);
+}
+
+function expect_failure(calls, error_class, check){
+    calls.success.should.have.lengthOf(0);
+    calls.failure.should.have.lengthOf(1);
+    calls.next.should.have.lengthOf(0);
+    calls.failure[0].should.be.an.instanceof(error_class);
+    calls.failure[0].check.should.equal(check);
+}
+
+describe("Test id token verification outcome", function(){
+    describe("Exactly one outcome", function(){
+        it("should call only success callback with checks for valid HS256 and ES256 tokens.", function(){
+            let login = create_login();
+            return login_flow(login, (nonce) => sign({nonce: nonce})).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+                calls.failure.should.have.lengthOf(0);
+                calls.success[0].id_token_checks.should.deep.equal(["signature", "expiration", "audience", "issuer", "issued_at", "amr", "nonce"]);
+                return login_flow(login, (nonce) => sign({nonce: nonce}, {es256: true}));
+            }).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+                calls.failure.should.have.lengthOf(0);
+            });
+        });
+
+        it("should call only failure callback for expired token.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce, exp: now() - 10, iat: now() - 3600})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenExpiredError, "expiration");
+                calls.failure[0].checks.should.deep.equal(["signature"]);
+            });
+        });
+
+        it("should call only failure callback for token signed by other secret.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce}, {secret: "other_secret"})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenMalformedError, "signature");
+                calls.failure[0].checks.should.deep.equal([]);
+            });
+        });
+
+        it("should call only failure callback for token of other audience.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce, aud: "9999999999"})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenAudienceError, "audience");
+                calls.failure[0].checks.should.deep.equal(["signature", "expiration"]);
+            });
+        });
+
+        it("should call only failure callback for token of other issuer.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce, iss: "https://evil.example.com"})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenVerificationError, "issuer");
+            });
+        });
+
+        it("should call only failure callback for token of wrong nonce.", function(){
+            return login_flow(create_login(), () => sign({nonce: "other_nonce"})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenNonceError, "nonce");
+                calls.failure[0].checks.should.deep.equal(["signature", "expiration", "audience", "issuer", "issued_at", "amr"]);
+            });
+        });
+
+        it("should call only failure callback for token issued in the future.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce, iat: now() + 60})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenVerificationError, "issued_at");
+            });
+        });
+
+        it("should pass exception thrown in success callback to next() without calling failure callback.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce}), {throw_in_success: true}).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+                calls.failure.should.have.lengthOf(0);
+                calls.next.should.have.lengthOf(1);
+                calls.next[0].message.should.equal("Error in success callback.");
+            });
+        });
+    });
+
+    describe("Clock tolerance", function(){
+        it("should accept token expired within clock_tolerance.", function(){
+            return login_flow(create_login({clock_tolerance: 30}), (nonce) => sign({nonce: nonce, exp: now() - 10, iat: now() - 3600})).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+            });
+        });
+
+        it("should accept token issued in the future within clock_tolerance.", function(){
+            return login_flow(create_login({clock_tolerance: 30}), (nonce) => sign({nonce: nonce, iat: now() + 10})).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+            });
+        });
+
+        it("should reject token expired beyond clock_tolerance.", function(){
+            return login_flow(create_login({clock_tolerance: 30}), (nonce) => sign({nonce: nonce, exp: now() - 60, iat: now() - 3600})).then((calls) => {
+                expect_failure(calls, line_login.IdTokenExpiredError, "expiration");
+            });
+        });
+    });
+
+    describe("Max auth age", function(){
+        it("should check auth_time if max_auth_age is set.", function(){
+            let login = create_login({max_auth_age: 300});
+            return login_flow(login, (nonce) => sign({nonce: nonce, auth_time: now() - 60})).then((calls) => {
+                calls.success.should.have.lengthOf(1);
+                calls.success[0].id_token_checks.should.include("auth_time");
+                return login_flow(login, (nonce) => sign({nonce: nonce, auth_time: now() - 600}));
+            }).then((calls) => {
+                expect_failure(calls, line_login.IdTokenAuthTimeError, "auth_time");
+                return login_flow(login, (nonce) => sign({nonce: nonce}));
+            }).then((calls) => {
+                expect_failure(calls, line_login.IdTokenAuthTimeError, "auth_time");
+                calls.failure[0].message.should.equal("auth_time is missing.");
+            });
+        });
+
+        it("should check auth_time against max_age of authorization request.", function(){
+            let login = create_login({max_auth_age: 3600});
+            return login_flow(login, (nonce) => sign({nonce: nonce, auth_time: now() - 600}), {auth_options: {max_age: 300}}).then((calls) => {
+                expect_failure(calls, line_login.IdTokenAuthTimeError, "auth_time");
+            });
+        });
+
+        it("should not check auth_time if max age is not set.", function(){
+            return login_flow(create_login(), (nonce) => sign({nonce: nonce})).then((calls) => {
+                calls.success[0].id_token_checks.should.not.include("auth_time");
+            });
+        });
+    });
+
+    describe("Configuration", function(){
+        it("should reject invalid clock_tolerance.", function(){
+            (() => create_login({clock_tolerance: -1})).should.throw(line_login.ConfigurationError, "Invalid value for clock_tolerance: -1. Set non-negative integer.");
+        });
+
+        it("should read clock_tolerance from environment variable.", function(){
+            let login = line_login.from_env({}, {
+                LINE_LOGIN_CHANNEL_ID: channel_id,
+                LINE_LOGIN_CHANNEL_SECRET: channel_secret,
+                LINE_LOGIN_CALLBACK_URL: "https://example.com/callback",
+                LINE_LOGIN_CLOCK_TOLERANCE: "30"
+            });
+            login.id_token_verifier.clock_tolerance.should.equal(30);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const line_login = require("../index.js");
+const Jwks = require("../module/jwks.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const channel_id = "1234567890";
+const channel_secret = "channel_secret";
+
+// Generate key pair and its JWKS which works as local fixture of JWKS endpoint.
+function create_key(kid){
+    const key_pair = crypto.generateKeyPairSync("ec", {namedCurve: "P-256"});
+    let jwk = Jwks._to_jwk(key_pair.publicKey);
+    jwk.kid = kid;
+    jwk.alg = "ES256";
+    jwk.use = "sig";
+    return {
+        kid: kid,
+        jwk: jwk,
+        private_key: key_pair.privateKey.export({type: "pkcs8", format: "pem"})
+    }
+}
+
+function sign(claims, key){
+    const payload = Object.assign({
+        iss: "https://access.line.me",
+        sub: "U1234567890abcdef1234567890abcdef",
+        aud: channel_id,
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        iat: Math.floor(Date.now() / 1000),
+        nonce: "nonce",
+        amr: ["pwd"]
+    }, claims);
+    if (key){
+        return jwt.sign(payload, key.private_key, {algorithm: "ES256", keyid: key.kid});
+    }
+    return jwt.sign(payload, channel_secret, {algorithm: "HS256"});
+}
+
+const key = create_key("key1");
+
+let login = new line_login({
+    channel_id: channel_id,
+    channel_secret: channel_secret,
+    callback_url: "https://example.com/callback",
+    jwks_fetcher: () => Promise.resolve({keys: [key.jwk]})
+});
+
+describe("Test id token", function(){
+    describe("Verify HS256 id token.", function(){
+        it("should return decoded id token.", function(){
+            return login.id_token_verifier.verify(sign({}), {nonce: "nonce"}).then((decoded_id_token) => {
+                decoded_id_token.should.have.property("sub").and.equal("U1234567890abcdef1234567890abcdef");
+            });
+        });
+    });
+
+    describe("Verify ES256 id token.", function(){
+        it("should return decoded id token.", function(){
+            return login.id_token_verifier.verify(sign({}, key), {nonce: "nonce"}).then((decoded_id_token) => {
+                decoded_id_token.should.have.property("sub").and.equal("U1234567890abcdef1234567890abcdef");
+            });
+        });
+    });
+
+    describe("Verify ES256 id token signed by unknown key.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify(sign({}, create_key("key1")), {nonce: "nonce"}).should.be.rejected;
+        });
+    });
+
+    describe("Verify id token with unsupported algorithm.", function(){
+        it("should reject.", function(){
+            const id_token = jwt.sign({aud: channel_id, iss: "https://access.line.me"}, channel_secret, {algorithm: "HS512"});
+            return login.id_token_verifier.verify(id_token).should.be.rejectedWith("Algorithm HS512 is not supported.");
+        });
+    });
+
+    describe("Verify malformed id token.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify("malformed").should.be.rejectedWith("Id token is malformed.");
+        });
+    });
+
+    describe("Verify id token with wrong nonce.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify(sign({}, key), {nonce: "other_nonce"}).should.be.rejectedWith(line_login.IdTokenNonceError, "Nonce does not match.");
+        });
+    });
+
+    describe("Verify id token issued in the future.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify(sign({iat: Math.floor(Date.now() / 1000) + 600}, key)).should.be.rejectedWith("iat is invalid.");
+        });
+    });
+
+    describe("Verify expired id token.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify(sign({exp: Math.floor(Date.now() / 1000) - 1}, key)).should.be.rejectedWith(line_login.IdTokenExpiredError, "Id token expired.");
+        });
+    });
+
+    describe("Verify id token with invalid amr.", function(){
+        it("should reject.", function(){
+            return login.id_token_verifier.verify(sign({amr: "pwd"}, key)).should.be.rejectedWith("amr is invalid.");
+        });
+    });
+
+    describe("Get key after key rotation.", function(){
+        it("should refetch keys and return new key.", function(){
+            const new_key = create_key("key2");
+            let fetch_count = 0;
+            let jwks = new Jwks({
+                refetch_interval: 0,
+                fetcher: () => {
+                    fetch_count++;
+                    return Promise.resolve({keys: (fetch_count === 1) ? [key.jwk] : [new_key.jwk]});
+                }
+            });
+            return jwks.get_key("key1").then(() => {
+                return jwks.get_key("key2");
+            }).then((pem) => {
+                pem.should.include("BEGIN PUBLIC KEY");
+                fetch_count.should.equal(2);
+            });
+        });
+    });
+
+    describe("Get key which cannot be imported.", function(){
+        it("should reject with the reason.", function(){
+            let jwks = new Jwks({
+                fetcher: () => Promise.resolve({keys: [{kid: "rsa1", kty: "RSA", n: "n", e: "AQAB"}, Object.assign({}, key.jwk, {kid: "broken", x: "AAAA"})]})
+            });
+            return jwks.get_key("rsa1").should.be.rejectedWith("Public key for kid rsa1 cannot be imported. Key type RSA is not supported. Only EC P-256 is supported.").then(() => {
+                return jwks.get_key("broken").should.be.rejectedWith(/cannot be imported. Coordinates of the key are invalid./);
+            });
+        });
+    });
+
+    describe("Get key converted from JWK.", function(){
+        it("should return PEM which is equal to the original public key.", function(){
+            const key_pair = crypto.generateKeyPairSync("ec", {namedCurve: "P-256"});
+            let jwk = Jwks._to_jwk(key_pair.publicKey);
+            jwk.kid = "key3";
+            let jwks = new Jwks({fetcher: () => Promise.resolve({keys: [jwk]})});
+            return jwks.get_key("key3").then((pem) => {
+                pem.should.equal(key_pair.publicKey.export({type: "spki", format: "pem"}));
+            });
+        });
+    });
+
+    describe("Get keys concurrently.", function(){
+        it("should fetch keys only once.", function(){
+            let fetch_count = 0;
+            let jwks = new Jwks({
+                fetcher: () => {
+                    fetch_count++;
+                    return new Promise((resolve) => setTimeout(resolve, 10)).then(() => ({keys: [key.jwk]}));
+                }
+            });
+            return Promise.all([jwks.get_key("key1"), jwks.get_key("key1")]).then(() => {
+                fetch_count.should.equal(1);
+            });
+        });
+    });
+
+    describe("Callback with ES256 id token.", function(){
+        it("should call success callback with decoded id token.", function(){
+            let req = {session: {}, query: {code: "code"}};
+            let res = {redirect: (url) => { req.query.state = url.match(/state=([^&]+)/)[1]; }};
+            return login.auth()(req, res, () => {}).then(() => {
+                const nonce = req.session.line_login[req.query.state].nonce;
+                login.issue_access_token = () => Promise.resolve({access_token: "access_token", id_token: sign({nonce: nonce}, key)});
+                return new Promise((resolve, reject) => {
+                    login.callback((req, res, next, token_response) => {
+                        resolve(token_response);
+                    }, (req, res, next, error) => {
+                        reject(error);
+                    })(req, res, () => {});
+                });
+            }).then((token_response) => {
+                token_response.id_token.should.have.property("nonce");
+                req.session.line_login[req.query.state].should.have.property("consumed_at");
+                req.session.line_login[req.query.state].should.not.have.property("nonce");
+                delete login.issue_access_token;
+            });
+        });
+    });
+
+    describe("Callback with id token of wrong nonce.", function(){
+        it("should call only failure callback.", function(){
+            let req = {session: {}, query: {code: "code"}};
+            let res = {redirect: (url) => { req.query.state = url.match(/state=([^&]+)/)[1]; }};
+            let succeeded = false;
+            return login.auth()(req, res, () => {}).then(() => {
+                login.issue_access_token = () => Promise.resolve({access_token: "access_token", id_token: sign({nonce: "other_nonce"}, key)});
+                return new Promise((resolve, reject) => {
+                    login.callback((req, res, next, token_response) => {
+                        succeeded = true;
+                    }, (req, res, next, error) => {
+                        resolve(error);
+                    })(req, res, () => {});
+                });
+            }).then((error) => {
+                delete login.issue_access_token;
+                succeeded.should.equal(false);
+                error.should.be.an.instanceOf(line_login.IdTokenNonceError);
+            });
+        });
+    });
+});
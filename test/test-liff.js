@@ -0,0 +1,138 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Channel of LIFF app which differs from the default channel of LineLogin.
+const liff_channel_id = "2222222222";
+
+// Run liff_login() and resolve with req and result passed to success callback.
+function liff_flow(login, req, options){
+    req = Object.assign({session: {}, headers: {}, body: {}}, req);
+    return new Promise((resolve, reject) => {
+        login.liff_login((req, res, next, token_response, result) => {
+            resolve({req: req, result: result});
+        }, (req, res, next, error) => {
+            reject(error);
+        }, Object.assign({channel_id: liff_channel_id}, options))(req, {}, reject);
+    });
+}
+
+describe("Test LIFF login", function(){
+    let mock;
+    let login;
+
+    before(function(){
+        return start_mock({channel_id: liff_channel_id}).then((started) => {
+            mock = started;
+        });
+    });
+
+    beforeEach(function(){
+        login = create_login(mock, {login_session: true});
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    it("should verify ID token against LIFF channel and save login session.", function(){
+        const id_token = mock.sign_id_token("U1234");
+        return liff_flow(login, {body: {id_token: id_token}}).then((r) => {
+            r.result.channel_id.should.equal(liff_channel_id);
+            r.result.token_response.id_token.aud.should.equal(liff_channel_id);
+            r.result.user.should.be.an.instanceof(line_login.User);
+            r.result.user.email.should.equal("taro@example.com");
+            r.req.session.line_user.user.user_id.should.equal("U1234");
+            r.req.line_user.display_name.should.equal("Taro");
+        });
+    });
+
+    it("should pass expected nonce.", function(){
+        const id_token = mock.sign_id_token("U1234", {nonce: "nonce"});
+        const options = {nonce: (req) => Promise.resolve(req.session.liff_nonce)};
+        return liff_flow(login, {body: {id_token: id_token}, session: {liff_nonce: "nonce"}}, options).then((r) => {
+            r.result.token_response.id_token.nonce.should.equal("nonce");
+            return liff_flow(login, {body: {id_token: id_token}, session: {liff_nonce: "another_nonce"}}, options);
+        }).should.be.rejectedWith(line_login.IdTokenNonceError);
+    });
+
+    it("should merge profile if access token is given in Authorization header.", function(){
+        const id_token = mock.sign_id_token("U1234", {scope: "openid email"});
+        const access_token = mock.issue_tokens("U1234").access_token;
+        return liff_flow(login, {body: {id_token: id_token}, headers: {authorization: `Bearer ${access_token}`}}).then((r) => {
+            r.result.token_response.access_token.should.equal(access_token);
+            r.result.user.display_name.should.equal("Taro");
+            r.result.user.status_message.should.equal("Hello");
+            r.result.user.email.should.equal("taro@example.com");
+            r.req.session.line_user.access_token.should.equal(access_token);
+        });
+    });
+
+    it("should reject if ID token and access token belong to different users.", function(){
+        const id_token = mock.sign_id_token("U1234");
+        const access_token = mock.issue_tokens("U5678").access_token;
+        return liff_flow(login, {body: {id_token: id_token, access_token: access_token}}).should.be.rejectedWith(line_login.AuthorizationError, /different users/).then((error) => {
+            error.error.should.equal("invalid_request");
+        });
+    });
+
+    it("should check owner of access token even if fetch_profile is false.", function(){
+        login = create_login(mock, {login_session: true, fetch_profile: false});
+        const id_token = mock.sign_id_token("U1234");
+        const access_token = mock.issue_tokens("U1234").access_token;
+        return liff_flow(login, {body: {id_token: id_token, access_token: access_token}}).then((r) => {
+            r.result.user.user_id.should.equal("U1234");
+            r.result.user.display_name.should.equal("Taro");
+            should.not.exist(r.result.user.status_message);
+        });
+    });
+
+    it("should establish login from access token only.", function(){
+        const access_token = mock.issue_tokens("U1234").access_token;
+        return liff_flow(login, {body: {access_token: access_token}}).then((r) => {
+            r.result.user.user_id.should.equal("U1234");
+            should.not.exist(r.result.token_response.id_token);
+        });
+    });
+
+    it("should establish login from access token only even if fetch_profile is false.", function(){
+        login = create_login(mock, {login_session: true, fetch_profile: false});
+        const access_token = mock.issue_tokens("U1234").access_token;
+        return liff_flow(login, {body: {access_token: access_token}}).then((r) => {
+            r.result.user.user_id.should.equal("U1234");
+            should.not.exist(r.result.user.display_name);
+            r.req.session.line_user.user.user_id.should.equal("U1234");
+        });
+    });
+
+    it("should reject access token without profile scope with AuthorizationError.", function(){
+        const access_token = mock.issue_tokens("U1234", {scope: "openid"}).access_token;
+        return liff_flow(login, {body: {access_token: access_token}}).should.be.rejectedWith(line_login.AuthorizationError, /profile scope/).then((error) => {
+            error.error.should.equal("invalid_request");
+            return liff_flow(login, {body: {id_token: mock.sign_id_token("U1234"), access_token: access_token}}).should.be.rejectedWith(line_login.AuthorizationError, /profile scope/);
+        });
+    });
+
+    it("should reject access token issued for other channel.", function(){
+        const access_token = mock.issue_tokens("U1234").access_token;
+        return liff_flow(login, {body: {access_token: access_token}}, {channel_id: "1234567890"}).should.be.rejectedWith(line_login.BearerAuthenticationError);
+    });
+
+    it("should reject ID token issued for other channel.", function(){
+        const id_token = mock.sign_id_token("U1234");
+        return liff_flow(login, {body: {id_token: id_token}}, {channel_id: "1234567890"}).should.be.rejectedWith(line_login.IdTokenAudienceError);
+    });
+
+    it("should reject if neither ID token nor access token is given.", function(){
+        return liff_flow(login, {}).should.be.rejectedWith(line_login.AuthorizationError);
+    });
+});
@@ -0,0 +1,187 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login, count_requests, run, authorize, login_flow } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const revoke = "POST /oauth2/v2.1/revoke";
+
+describe("Test login session", function(){
+    let mock;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    // LineLogin which saves login session.
+    function create_session_login(options){
+        return create_login(mock, Object.assign({login_session: true}, options));
+    }
+
+    describe("callback()", function(){
+        it("should save user and tokens in session and set req.line_user.", function(){
+            let login = create_session_login();
+            let session = {};
+            return login_flow(login, {session: session}).then((r) => {
+                session.line_user.user.should.include({user_id: "U1234", display_name: "Taro", picture_url: "https://example.com/taro.png"});
+                session.line_user.access_token.should.equal(r.token_response.access_token);
+                session.line_user.refresh_token.should.equal(r.token_response.refresh_token);
+                session.line_user.expires_at.should.be.above(Date.now());
+                r.req.line_user.should.be.an.instanceof(line_login.User);
+                r.req.line_user.display_name.should.equal("Taro");
+            });
+        });
+
+        it("should regenerate session and carry over login attempts.", function(){
+            let login = create_session_login();
+            let req = {query: {}, headers: {}};
+            // Simulates regenerate() of express-session which replaces req.session with new one.
+            const create_session = (id) => ({
+                id: id,
+                regenerate: (callback) => {
+                    req.session = create_session(id + 1);
+                    callback();
+                }
+            });
+            req.session = create_session(1);
+            req.session.planted = "planted by attacker";
+            let state;
+            return run(login.auth(), req).then((url) => {
+                return authorize(url);
+            }).then((query) => {
+                state = query.state;
+                req.query = query;
+                return new Promise((resolve, reject) => {
+                    login.callback(resolve, (req, res, next, error) => reject(error))(req, {}, reject);
+                });
+            }).then(() => {
+                req.session.id.should.equal(2);
+                should.not.exist(req.session.planted);
+                req.session.line_user.user.user_id.should.equal("U1234");
+                req.session.line_login[state].should.have.property("consumed_at");
+                req.line_user.user_id.should.equal("U1234");
+            });
+        });
+
+        it("should fail if session cannot be regenerated.", function(){
+            let login = create_session_login();
+            let session = {regenerate: (callback) => callback(new Error("Failed to regenerate."))};
+            return login_flow(login, {session: session}).should.be.rejectedWith("Failed to regenerate.").then(() => {
+                should.not.exist(session.line_user);
+            });
+        });
+
+        it("should not save session if login_session is false.", function(){
+            let login = create_login(mock);
+            let session = {};
+            return login_flow(login, {session: session}).then(() => {
+                should.not.exist(session.line_user);
+            });
+        });
+    });
+
+    describe("require_login()", function(){
+        it("should pass logged in user and set req.line_user.", function(){
+            let login = create_session_login();
+            let session = {};
+            return login_flow(login, {session: session}).then(() => {
+                let req = {session: session, query: {}, originalUrl: "/mypage"};
+                return run(login.require_login(), req).then((url) => {
+                    should.not.exist(url);
+                    req.line_user.user_id.should.equal("U1234");
+                });
+            });
+        });
+
+        it("should start authorization and return to the requested URL after login.", function(){
+            let login = create_session_login();
+            let session = {};
+            let req = {session: session, query: {}, headers: {}, originalUrl: "/mypage?tab=orders"};
+            return run(login.require_login(), req).then((url) => {
+                url.should.include(`${mock.endpoint}/oauth2/v2.1/authorize?`);
+                should.equal(req.line_user, null);
+                return authorize(url);
+            }).then((query) => {
+                return new Promise((resolve, reject) => {
+                    login.callback((req, res, next, token_response, result) => resolve(result), (req, res, next, error) => reject(error))({session: session, query: query, headers: {}}, {}, reject);
+                });
+            }).then((result) => {
+                result.return_to.should.equal("/mypage?tab=orders");
+            });
+        });
+
+        it("should throw ConfigurationError if login_session is false.", function(){
+            let login = create_login(mock);
+            (() => login.require_login()).should.throw(line_login.ConfigurationError, /login_session/);
+        });
+
+        it("should redirect to login_path with return_to.", function(){
+            let login = create_session_login();
+            let req = {session: {}, query: {}, originalUrl: "/mypage?tab=orders"};
+            return run(login.require_login({login_path: "/login"}), req).then((url) => {
+                url.should.equal("/login?return_to=%2Fmypage%3Ftab%3Dorders");
+            });
+        });
+    });
+
+    describe("current_user()", function(){
+        it("should set null if user has not logged in.", function(){
+            let login = create_session_login();
+            let req = {session: {}, query: {}};
+            return run(login.current_user(), req).then(() => {
+                should.equal(req.line_user, null);
+            });
+        });
+    });
+
+    describe("logout()", function(){
+        it("should revoke access token, delete login session and redirect.", function(){
+            let login = create_session_login();
+            let session = {};
+            return login_flow(login, {session: session}).then(() => {
+                return run(login.logout({redirect: "/bye"}), {session: session});
+            }).then((url) => {
+                url.should.equal("/bye");
+                count_requests(login, revoke).should.equal(1);
+                should.not.exist(session.line_user);
+            });
+        });
+
+        it("should delete login session even if revocation failed.", function(){
+            let login = create_session_login();
+            let session = {};
+            return login_flow(login, {session: session}).then(() => {
+                mock.inject_error("/oauth2/v2.1/revoke", {status_code: 401, body: {error: "invalid_token", error_description: "Unauthorized"}});
+                return run(login.logout(), {session: session});
+            }).then((url) => {
+                url.should.equal("/");
+                count_requests(login, revoke).should.equal(1);
+                should.not.exist(session.line_user);
+            });
+        });
+
+        it("should destroy session if destroy_session is true.", function(){
+            let login = create_session_login();
+            let destroyed = false;
+            let session = {destroy: (callback) => { destroyed = true; callback(); }};
+            return login_flow(login, {session: session}).then(() => {
+                return run(login.logout({destroy_session: true}), {session: session});
+            }).then((url) => {
+                destroyed.should.equal(true);
+            });
+        });
+    });
+});
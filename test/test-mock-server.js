@@ -0,0 +1,183 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const http = require("http");
+const express = require("express");
+const session = require("express-session");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const channel_id = "1234567890";
+const channel_secret = "channel_secret";
+
+// Send GET request and resolve with status code, headers and body.
+function get(url, cookie){
+    return new Promise((resolve, reject) => {
+        http.get(url, {headers: cookie ? {cookie: cookie} : {}}, (res) => {
+            let body = "";
+            res.on("data", (chunk) => { body += chunk; });
+            res.on("end", () => resolve({status_code: res.statusCode, headers: res.headers, body: body}));
+        }).on("error", reject);
+    });
+}
+
+// Start express app which uses LineLogin pointing to mock server.
+function start_app(mock, options = {}){
+    let app = express();
+    app.use(session({secret: "secret", resave: false, saveUninitialized: false}));
+    const server = app.listen(0);
+    const login = new line_login(Object.assign({
+        channel_id: channel_id,
+        channel_secret: channel_secret,
+        callback_url: `http://127.0.0.1:${server.address().port}/callback`,
+        endpoint: mock.endpoint,
+        transport: new line_login.Transport({keep_alive: false, retries: 0})
+    }, options));
+    app.get("/auth", login.auth());
+    app.get("/callback", login.callback((req, res, next, token_response) => {
+        res.json(token_response);
+    }, (req, res, next, error) => {
+        res.status(400).json({name: error.name, error: error.error});
+    }));
+    return {server: server, login: login, url: `http://127.0.0.1:${server.address().port}`};
+}
+
+// Run auth() -> LINE authorization endpoint -> callback() and resolve with the response of callback.
+function round_trip(app){
+    let cookie;
+    return get(`${app.url}/auth`).then((response) => {
+        cookie = response.headers["set-cookie"].map((c) => c.split(";")[0]).join("; ");
+        return get(response.headers.location);
+    }).then((response) => {
+        response.status_code.should.equal(302);
+        return get(response.headers.location, cookie);
+    }).then((response) => {
+        response.json = JSON.parse(response.body);
+        return response;
+    });
+}
+
+describe("Test mock server", function(){
+    let mock;
+
+    beforeEach(function(){
+        mock = new line_login.MockServer({
+            channel_id: channel_id,
+            channel_secret: channel_secret,
+            users: [{
+                user_id: "U1",
+                display_name: "Taro",
+                picture_url: "https://profile.line-scdn.net/taro",
+                status_message: "Hello",
+                email: "taro@example.com",
+                friend_flag: true
+            }, {
+                user_id: "U2",
+                display_name: "Hanako"
+            }]
+        });
+        return mock.listen();
+    });
+
+    afterEach(function(){
+        return mock.close();
+    });
+
+    describe("Login and call APIs.", function(){
+        it("should complete round trip and APIs should work with issued tokens.", function(){
+            const app = start_app(mock, {scope: "profile openid email"});
+            let token_response;
+            return round_trip(app).then((response) => {
+                response.status_code.should.equal(200);
+                token_response = response.json;
+                token_response.id_token.should.have.property("sub").and.equal("U1");
+                token_response.id_token.should.have.property("email").and.equal("taro@example.com");
+                return app.login.get_user_profile(token_response.access_token);
+            }).then((profile) => {
+                profile.should.have.property("displayName").and.equal("Taro");
+                return app.login.get_friendship_status(token_response.access_token);
+            }).then((friendship) => {
+                friendship.should.have.property("friendFlag").and.equal(true);
+                return app.login.verify_access_token(token_response.access_token);
+            }).then((verified) => {
+                verified.should.have.property("client_id").and.equal(channel_id);
+                return app.login.refresh_access_token(token_response.refresh_token);
+            }).then((refreshed) => {
+                refreshed.should.have.property("access_token");
+                return app.login.refresh_access_token(token_response.refresh_token).should.be.rejectedWith(line_login.InvalidGrantError).then(() => {
+                    return app.login.revoke_access_token(refreshed.access_token);
+                }).then(() => {
+                    return app.login.get_user_profile(refreshed.access_token).should.be.rejectedWith(line_login.InvalidTokenError);
+                });
+            }).finally(() => app.server.close());
+        });
+    });
+
+    describe("Login as other user with PKCE.", function(){
+        it("should issue tokens of the user.", function(){
+            mock.login_as("U2");
+            const app = start_app(mock, {pkce: true});
+            return round_trip(app).then((response) => {
+                response.status_code.should.equal(200);
+                response.json.id_token.should.have.property("sub").and.equal("U2");
+            }).finally(() => app.server.close());
+        });
+    });
+
+    describe("User denies consent.", function(){
+        it("should call failure callback with access_denied.", function(){
+            mock.set_consent("access_denied");
+            const app = start_app(mock);
+            return round_trip(app).then((response) => {
+                response.status_code.should.equal(400);
+                response.json.should.deep.equal({name: "AuthorizationError", error: "access_denied"});
+            }).finally(() => app.server.close());
+        });
+    });
+
+    describe("Token endpoint has server error.", function(){
+        it("should call failure callback with ServerError.", function(){
+            mock.inject_error("/oauth2/v2.1/token", {status_code: 500});
+            const app = start_app(mock);
+            return round_trip(app).then((response) => {
+                response.status_code.should.equal(400);
+                response.json.should.have.property("name").and.equal("ServerError");
+            }).finally(() => app.server.close());
+        });
+    });
+
+    describe("Issue tokens without authorization.", function(){
+        it("should issue tokens which APIs accept.", function(){
+            const app = start_app(mock);
+            const token_response = mock.issue_tokens("U2", {scope: "profile openid", nonce: "nonce"});
+            token_response.should.have.property("id_token");
+            (() => mock.issue_tokens("U3")).should.throw("User U3 is not found.");
+            return app.login.get_user_profile(token_response.access_token).then((profile) => {
+                profile.should.have.property("userId").and.equal("U2");
+                return app.login.verify_id_token(token_response.id_token, {nonce: "nonce"});
+            }).then((claims) => {
+                claims.should.have.property("sub").and.equal("U2");
+            }).finally(() => app.server.close());
+        });
+    });
+
+    describe("Verify id token signed by ES256.", function(){
+        it("should verify locally and by server.", function(){
+            let es256_mock = new line_login.MockServer({channel_id: channel_id, channel_secret: channel_secret, id_token_algorithm: "ES256"});
+            return es256_mock.listen().then(() => {
+                const app = start_app(es256_mock);
+                return round_trip(app).then((response) => {
+                    response.status_code.should.equal(200);
+                    const id_token = es256_mock.sign_id_token(es256_mock.user_id, {nonce: "nonce"});
+                    return app.login.verify_id_token(id_token, {nonce: "other_nonce"}).should.be.rejectedWith(line_login.IdTokenNonceError);
+                }).finally(() => app.server.close());
+            }).finally(() => es256_mock.close());
+        });
+    });
+});
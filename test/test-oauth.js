@@ -5,23 +5,30 @@ require("dotenv").config();
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const debug = require("debug")("bot-express:test");
-const request = require("request");
-const line_login = require("../module/line-login.js")
-Promise = require("bluebird");
-Promise.promisifyAll(request);
+const line_login = require("../index.js");
+const { channel_id, start_mock, create_login } = require("./helper/flow");
 
 chai.use(chaiAsPromised);
 let should = chai.should();
 
-let login = new line_login({
-    channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-    channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
-    callback_url: process.env.LINE_LOGIN_CALLBACK_URL,
-});
-let access_token = process.env.LINE_LOGIN_ACCESS_TOKEN;
-let refresh_token = process.env.LINE_LOGIN_REFRESH_TOKEN;
-
 describe("Test OAuth", function(){
+    let mock;
+    let login;
+    let access_token;
+    let refresh_token;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+            login = create_login(mock);
+            refresh_token = mock.issue_tokens("U1234").refresh_token;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
     describe("Refresh access token with valid refresh token.", function(){
         it("should return result.", function(){
             return Promise.resolve().then(function(){
@@ -36,12 +43,7 @@ describe("Test OAuth", function(){
 
     describe("Refresh access token with invalid refresh token.", function(){
         it("should return error.", function(){
-            return Promise.resolve().then(function(){
-                return login.refresh_access_token("invalid_refresh_token");
-            }).catch(function(exception){
-                exception.should.be.an.instanceOf(Error);
-                exception.should.have.property("message").and.equal("Bad Request");
-            });
+            return login.refresh_access_token("invalid_refresh_token").should.be.rejectedWith(line_login.InvalidGrantError, "Bad Request");
         });
     });
 
@@ -51,7 +53,7 @@ describe("Test OAuth", function(){
                 return login.verify_access_token(access_token);
             }).then(function(response){
                 response.should.have.property("scope");
-                response.should.have.property("client_id");
+                response.should.have.property("client_id").and.equal(channel_id);
                 response.should.have.property("expires_in");
             });
         });
@@ -59,12 +61,7 @@ describe("Test OAuth", function(){
 
     describe("Verify access token with invalid access token.", function(){
         it("should return error.", function(){
-            return Promise.resolve().then(function(){
-                return login.verify_access_token("invalid_access_token");
-            }).catch(function(exception){
-                exception.should.be.an.instanceOf(Error);
-                exception.should.have.property("message").and.equal("Bad Request");
-            });
+            return login.verify_access_token("invalid_access_token").should.be.rejectedWith(line_login.InvalidTokenError, "Bad Request");
         });
     });
 
@@ -78,14 +75,9 @@ describe("Test OAuth", function(){
         });
     });
 
-    describe("Revoke access token with invalid access token.", function(){
+    describe("Verify revoked access token.", function(){
         it("should return error.", function(){
-            return Promise.resolve().then(function(){
-                return login.refresh_access_token(access_token);
-            }).catch(function(exception){
-                exception.should.be.an.instanceOf(Error);
-                exception.should.have.property("message").and.equal("Bad Request");
-            });
+            return login.verify_access_token(access_token).should.be.rejectedWith(line_login.InvalidTokenError, "Bad Request");
         });
     });
 });
@@ -0,0 +1,129 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const jwt = require("jsonwebtoken");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const channel_id = "1234567890";
+const channel_secret = "channel_secret";
+
+function create_strategy(verify, options){
+    let strategy = new line_login.Strategy(Object.assign({
+        channel_id: channel_id,
+        channel_secret: channel_secret,
+        callback_url: "https://example.com/callback",
+        scope: "profile openid email"
+    }, options), verify);
+    strategy._line_login.get_user_profile = () => Promise.resolve({
+        userId: "U1234",
+        displayName: "Taro",
+        pictureUrl: "https://profile.line-scdn.net/picture",
+        statusMessage: "Hello"
+    });
+    return strategy;
+}
+
+// Run authenticate() as passport does and resolve with the action the strategy took.
+function authenticate(strategy, req){
+    return new Promise((resolve) => {
+        strategy.redirect = (url) => resolve({action: "redirect", url: url});
+        strategy.success = (user, info) => resolve({action: "success", user: user, info: info});
+        strategy.fail = (challenge, status) => resolve({action: "fail", challenge: challenge, status: status});
+        strategy.error = (error) => resolve({action: "error", error: error});
+        strategy.authenticate(req, {});
+    });
+}
+
+describe("Test passport strategy", function(){
+    describe("Authenticate without code.", function(){
+        it("should redirect to authorization endpoint.", function(){
+            let strategy = create_strategy(() => {});
+            let req = {session: {}, query: {}};
+            return authenticate(strategy, req).then((result) => {
+                result.action.should.equal("redirect");
+                result.url.should.include("https://access.line.me/oauth2/v2.1/authorize?");
+                Object.keys(req.session.line_login).should.have.lengthOf(1);
+            });
+        });
+    });
+
+    describe("Authenticate with code.", function(){
+        it("should call verify with normalized profile and succeed.", function(){
+            let verify_args;
+            let strategy = create_strategy(function(){
+                verify_args = Array.from(arguments);
+                verify_args[4](null, {id: verify_args[3].id});
+            });
+            let req = {session: {}, query: {}};
+            return authenticate(strategy, req).then((result) => {
+                const state = result.url.match(/state=([^&]+)/)[1];
+                const nonce = req.session.line_login[state].nonce;
+                strategy._line_login.issue_access_token = () => Promise.resolve({
+                    access_token: "access_token",
+                    refresh_token: "refresh_token",
+                    expires_in: 2592000,
+                    id_token: jwt.sign({
+                        iss: "https://access.line.me",
+                        sub: "U1234",
+                        aud: channel_id,
+                        exp: Math.floor(Date.now() / 1000) + 3600,
+                        nonce: nonce,
+                        email: "taro@example.com"
+                    }, channel_secret)
+                });
+                return authenticate(strategy, {session: req.session, query: {code: "code", state: state}});
+            }).then((result) => {
+                result.action.should.equal("success");
+                result.user.should.deep.equal({id: "U1234"});
+                verify_args[0].should.equal("access_token");
+                verify_args[1].should.equal("refresh_token");
+                verify_args[2].should.have.property("expires_in");
+                const profile = verify_args[3];
+                profile.should.have.property("provider").and.equal("line");
+                profile.should.have.property("displayName").and.equal("Taro");
+                profile.photos.should.deep.equal([{value: "https://profile.line-scdn.net/picture"}]);
+                profile.emails.should.deep.equal([{value: "taro@example.com"}]);
+            });
+        });
+    });
+
+    describe("Authenticate after user cancelled.", function(){
+        it("should fail.", function(){
+            let strategy = create_strategy(() => {});
+            let req = {session: {}, query: {}};
+            return authenticate(strategy, req).then((result) => {
+                const state = result.url.match(/state=([^&]+)/)[1];
+                return authenticate(strategy, {session: req.session, query: {error: "access_denied", state: state}});
+            }).then((result) => {
+                result.action.should.equal("fail");
+                result.status.should.equal(401);
+                result.challenge.error.should.be.an.instanceOf(line_login.AuthorizationError);
+            });
+        });
+    });
+
+    describe("Verify function rejects user.", function(){
+        it("should fail with info.", function(){
+            let strategy = create_strategy((req, access_token, refresh_token, params, profile, done) => {
+                req.should.have.property("session");
+                done(null, false, {message: "Not registered."});
+            }, {pass_req_to_callback: true, fetch_profile: false});
+            let req = {session: {}, query: {}};
+            return authenticate(strategy, req).then((result) => {
+                const state = result.url.match(/state=([^&]+)/)[1];
+                strategy._line_login.issue_access_token = () => Promise.resolve({access_token: "access_token"});
+                return authenticate(strategy, {session: req.session, query: {code: "code", state: state}});
+            }).then((result) => {
+                result.action.should.equal("fail");
+                result.challenge.should.deep.equal({message: "Not registered."});
+            });
+        });
+    });
+});
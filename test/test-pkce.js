@@ -0,0 +1,81 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../module/line-login.js")
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Fake transport which records the form and responds access token.
+let sent_form;
+const transport = {
+    request: (options) => {
+        sent_form = options.form;
+        return Promise.resolve({statusCode: 200, headers: {}, body: JSON.stringify({access_token: "access_token"})});
+    }
+}
+
+let login = new line_login({
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback",
+    pkce: true,
+    transport: transport
+});
+
+describe("Test PKCE", function(){
+    describe("Generate code verifier.", function(){
+        it("should return 43 characters of unreserved characters.", function(){
+            let code_verifier = line_login._generate_code_verifier();
+            code_verifier.should.have.lengthOf(43);
+            code_verifier.should.match(/^[A-Za-z0-9\-._~]+$/);
+        });
+    });
+
+    describe("Generate code challenge.", function(){
+        it("should return S256 code challenge.", function(){
+            line_login._generate_code_challenge("dBjftJeZ4CVP-mJ92K27uhbUJU1p1r_wW1gFWFOEjXk").should.equal("ngF5GsXcbwljx6u133FFr3Xht9xooA_DuaX_3QwODtc");
+        });
+    });
+
+    describe("Make auth url with code challenge.", function(){
+        it("should contain code_challenge and code_challenge_method.", function(){
+            let url = login.make_auth_url("state", "nonce", {code_challenge: "challenge"});
+            url.should.include("&code_challenge=challenge&code_challenge_method=S256");
+        });
+    });
+
+    describe("Make auth url without code challenge.", function(){
+        it("should not contain code_challenge.", function(){
+            let url = login.make_auth_url("state", "nonce");
+            url.should.not.include("code_challenge");
+        });
+    });
+
+    describe("Start authorization.", function(){
+        it("should save code verifier in store and redirect with its code challenge.", function(){
+            let req = {session: {}};
+            let redirected_url;
+            let res = {redirect: (url) => { redirected_url = url; }};
+            return login.auth()(req, res, () => {}).then(() => {
+                let state = Object.keys(req.session.line_login)[0];
+                let code_verifier = req.session.line_login[state].code_verifier;
+                should.exist(code_verifier);
+                redirected_url.should.include(`&code_challenge=${line_login._generate_code_challenge(code_verifier)}&`);
+            });
+        });
+    });
+
+    describe("Issue access token with code verifier.", function(){
+        it("should send code_verifier.", function(){
+            return login.issue_access_token("code", "code_verifier").then((response) => {
+                response.should.have.property("access_token");
+                sent_form.should.have.property("code_verifier").and.equal("code_verifier");
+            });
+        });
+    });
+});
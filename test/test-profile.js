@@ -5,23 +5,30 @@ require("dotenv").config();
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const debug = require("debug")("bot-express:test");
-const request = require("request");
-const line_login = require("../module/line-login.js")
-Promise = require("bluebird");
-Promise.promisifyAll(request);
+const line_login = require("../index.js");
+const { start_mock, create_login } = require("./helper/flow");
 
 chai.use(chaiAsPromised);
 let should = chai.should();
 
-let login = new line_login({
-    channel_id: process.env.LINE_LOGIN_CHANNEL_ID,
-    channel_secret: process.env.LINE_LOGIN_CHANNEL_SECRET,
-    callback_url: process.env.LINE_LOGIN_CALLBACK_URL,
-});
-let access_token = process.env.LINE_LOGIN_ACCESS_TOKEN;
-let refresh_token = process.env.LINE_LOGIN_REFRESH_TOKEN;
-
 describe("Test profile", function(){
+    let mock;
+    let login;
+    let access_token;
+    let refresh_token;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+            login = create_login(mock);
+            refresh_token = mock.issue_tokens("U1234").refresh_token;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
     describe("Refresh access token.", function(){
         it("should return result.", function(){
             return Promise.resolve().then(function(){
@@ -48,12 +55,7 @@ describe("Test profile", function(){
 
     describe("Get profile with invalid access token.", function(){
         it("should return error.", function(){
-            return Promise.resolve().then(function(){
-                return login.get_user_profile("invalid_access_token");
-            }).catch(function(exception){
-                exception.should.be.an.instanceOf(Error);
-                exception.should.have.property("message").and.equal("Unauthorized");
-            });
+            return login.get_user_profile("invalid_access_token").should.be.rejectedWith(line_login.InvalidTokenError, "Unauthorized");
         });
     });
 });
@@ -0,0 +1,103 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login, run, authorize, login_flow } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+describe("Test return to", function(){
+    let mock;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    describe("Validate return_to with default allowed_return_to.", function(){
+        it("should allow only relative path.", function(){
+            const core = create_login(mock).core;
+            core.validate_return_to("/mypage?tab=1#top").should.equal("/mypage?tab=1#top");
+            core.validate_return_to("/a/../mypage").should.equal("/mypage");
+            should.not.exist(core.validate_return_to("//evil.example.com/"));
+            should.not.exist(core.validate_return_to("/\\evil.example.com/"));
+            should.not.exist(core.validate_return_to("/.//evil.example.com/"));
+            should.not.exist(core.validate_return_to("/a/..//evil.example.com/"));
+            should.not.exist(core.validate_return_to("/././/evil.example.com/"));
+            should.not.exist(core.validate_return_to("/%2e//evil.example.com/"));
+            should.not.exist(core.validate_return_to("https://evil.example.com/"));
+            should.not.exist(core.validate_return_to("javascript:alert(1)"));
+            should.not.exist(core.validate_return_to("mypage"));
+        });
+    });
+
+    describe("Validate return_to with allowed_return_to.", function(){
+        it("should allow only listed origins and paths.", function(){
+            const core = create_login(mock, {allowed_return_to: ["https://app.example.com", "https://www.example.com/shop/", "/mypage/"]}).core;
+            core.validate_return_to("https://app.example.com/any").should.equal("https://app.example.com/any");
+            core.validate_return_to("https://www.example.com/shop/item/1").should.equal("https://www.example.com/shop/item/1");
+            core.validate_return_to("/mypage/settings").should.equal("/mypage/settings");
+            should.not.exist(core.validate_return_to("https://www.example.com/admin"));
+            should.not.exist(core.validate_return_to("https://app.example.com.evil.com/"));
+            should.not.exist(core.validate_return_to("http://app.example.com/"));
+            should.not.exist(core.validate_return_to("/admin"));
+            should.not.exist(core.validate_return_to("/mypage/../admin"));
+        });
+    });
+
+    describe("Login with return_to query parameter.", function(){
+        it("should expose return_to in result.", function(){
+            return login_flow(create_login(mock), {auth_request: {query: {return_to: "/deep/link"}}}).then((r) => {
+                r.result.should.have.property("return_to").and.equal("/deep/link");
+            });
+        });
+    });
+
+    describe("Login with explicit return_to.", function(){
+        it("should prefer explicit return_to over query parameter.", function(){
+            return login_flow(create_login(mock), {auth_options: {return_to: "/explicit"}, auth_request: {query: {return_to: "/query"}}}).then((r) => {
+                r.result.should.have.property("return_to").and.equal("/explicit");
+            });
+        });
+    });
+
+    describe("Login with return_to which is not allowed.", function(){
+        it("should not expose return_to.", function(){
+            return login_flow(create_login(mock), {auth_request: {query: {return_to: "https://evil.example.com/"}}}).then((r) => {
+                should.not.exist(r.result.return_to);
+            });
+        });
+    });
+
+    describe("Concurrent login attempts with different return_to.", function(){
+        it("should expose return_to bound to each state.", function(){
+            const login = create_login(mock);
+            let session = {};
+            let first;
+            return run(login.auth(), {session: session, query: {return_to: "/first"}}).then((url) => {
+                first = url;
+                return run(login.auth(), {session: session, query: {return_to: "/second"}});
+            }).then(() => {
+                return authorize(first);
+            }).then((query) => {
+                return new Promise((resolve, reject) => {
+                    login.callback((req, res, next, token_response, result) => {
+                        resolve(result);
+                    }, (req, res, next, error) => reject(error))({session: session, query: query}, {}, () => {});
+                });
+            }).then((result) => {
+                result.return_to.should.equal("/first");
+            });
+        });
+    });
+});
@@ -0,0 +1,242 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const SessionStore = require("../module/store/session");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+function create_login(options = {}){
+    let login = new line_login(Object.assign({
+        channel_id: "1234567890",
+        channel_secret: "channel_secret",
+        callback_url: "https://example.com/callback",
+        verify_id_token: false
+    }, options));
+    login.issue_access_token = () => Promise.resolve({access_token: "access_token"});
+    return login;
+}
+
+// Response which records Set-Cookie header.
+function create_res(req){
+    let headers = {};
+    return {
+        getHeader: (name) => headers[name.toLowerCase()],
+        setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+        redirect: (url) => { req.query.state = url.match(/state=([^&]+)/)[1]; },
+        headers: headers
+    }
+}
+
+// Run auth() and return request which has the session and state of the login attempt.
+function start_auth(login, req){
+    req = req || {session: {}, query: {}, headers: {}};
+    const res = create_res(req);
+    return login.auth()(req, res, () => {}).then(() => {
+        req.set_cookie = res.headers["set-cookie"];
+        return req;
+    });
+}
+
+// Run callback() and resolve with token response or error.
+function run_callback(login, req){
+    return new Promise((resolve, reject) => {
+        login.callback((req, res, next, token_response) => {
+            resolve(token_response);
+        }, (req, res, next, error) => {
+            resolve(error);
+        })(req, create_res(req), reject);
+    });
+}
+
+describe("Test state", function(){
+    describe("Login attempt", function(){
+        it("should have issued_at.", function(){
+            const login = create_login();
+            return start_auth(login).then((req) => {
+                req.session.line_login[req.query.state].should.have.property("issued_at").and.be.a("number");
+            });
+        });
+    });
+
+    describe("Callback with valid state.", function(){
+        it("should succeed and consume login attempt.", function(){
+            const login = create_login();
+            let req;
+            return start_auth(login).then((auth_req) => {
+                req = auth_req;
+                req.query.code = "code";
+                return run_callback(login, req);
+            }).then((token_response) => {
+                token_response.should.have.property("access_token").and.equal("access_token");
+                req.session.line_login[req.query.state].should.have.property("consumed_at");
+                req.session.line_login[req.query.state].should.not.have.property("nonce");
+            });
+        });
+    });
+
+    describe("Callback with used state.", function(){
+        it("should fail with StateReusedError and emit state_mismatch of reused.", function(){
+            const login = create_login();
+            let reasons = [];
+            login.on("state_mismatch", (event) => reasons.push(event.reason));
+            let req;
+            return start_auth(login).then((auth_req) => {
+                req = auth_req;
+                req.query.code = "code";
+                return run_callback(login, req);
+            }).then(() => {
+                return run_callback(login, req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateReusedError);
+                error.should.be.an.instanceOf(line_login.StateMismatchError);
+                reasons.should.deep.equal(["reused"]);
+            });
+        });
+
+        it("should fail with StateReusedError even if first callback failed.", function(){
+            const login = create_login();
+            let req;
+            return start_auth(login).then((auth_req) => {
+                req = auth_req;
+                req.query.error = "access_denied";
+                return run_callback(login, req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.AuthorizationError);
+                delete req.query.error;
+                req.query.code = "code";
+                return run_callback(login, req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateReusedError);
+            });
+        });
+    });
+
+    describe("Callback after state_ttl.", function(){
+        it("should fail with StateExpiredError and consume login attempt.", function(){
+            const login = create_login({state_ttl: 60});
+            let reasons = [];
+            login.on("state_mismatch", (event) => reasons.push(event.reason));
+            let req;
+            return start_auth(login).then((auth_req) => {
+                req = auth_req;
+                req.query.code = "code";
+                req.session.line_login[req.query.state].issued_at -= 61 * 1000;
+                return run_callback(login, req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateExpiredError);
+                error.should.be.an.instanceOf(line_login.StateMismatchError);
+                reasons.should.deep.equal(["expired"]);
+                return run_callback(login, req);
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateReusedError);
+            });
+        });
+
+        it("should fail with StateExpiredError even if another login attempt is started in default store.", function(){
+            const login = create_login({state_ttl: 60});
+            let req;
+            return start_auth(login).then((auth_req) => {
+                req = auth_req;
+                req.session.line_login[req.query.state].issued_at -= 61 * 1000;
+                const expired_state = req.query.state;
+                return start_auth(login, req).then(() => {
+                    req.query.state = expired_state;
+                    req.query.code = "code";
+                    return run_callback(login, req);
+                });
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateExpiredError);
+            });
+        });
+
+        it("should succeed within state_ttl.", function(){
+            const login = create_login({state_ttl: 60});
+            return start_auth(login).then((req) => {
+                req.query.code = "code";
+                req.session.line_login[req.query.state].issued_at -= 59 * 1000;
+                return run_callback(login, req);
+            }).then((token_response) => {
+                token_response.should.have.property("access_token");
+            });
+        });
+    });
+
+    describe("Invalid state_ttl", function(){
+        it("should throw ConfigurationError.", function(){
+            (() => create_login({state_ttl: -1})).should.throw(line_login.ConfigurationError, /state_ttl/);
+        });
+    });
+
+    describe("state_binding", function(){
+        it("should set binding cookie and save its hash.", function(){
+            const login = create_login({state_binding: true});
+            return start_auth(login).then((req) => {
+                const cookie = req.set_cookie.find((cookie) => cookie.startsWith("line_login_binding="));
+                should.exist(cookie);
+                cookie.should.match(/HttpOnly/);
+                cookie.should.match(/SameSite=Lax/);
+                cookie.should.match(/Secure/);
+                cookie.should.match(/Max-Age=600/);
+                const binding = cookie.match(/^line_login_binding=([^;]+)/)[1];
+                req.session.line_login[req.query.state].should.have.property("binding").and.not.equal(binding);
+            });
+        });
+
+        it("should reuse binding cookie sent by browser.", function(){
+            const login = create_login({state_binding: true});
+            const binding = "a".repeat(64);
+            let req = {session: {}, query: {}, headers: {cookie: `line_login_binding=${binding}`}};
+            return start_auth(login, req).then((req) => {
+                req.set_cookie.should.deep.include(`line_login_binding=${binding}; Max-Age=600; Path=/; HttpOnly; SameSite=Lax; Secure`);
+            });
+        });
+
+        it("should succeed when callback has binding cookie.", function(){
+            const login = create_login({state_binding: true});
+            return start_auth(login).then((req) => {
+                req.headers.cookie = req.set_cookie[0].split(";")[0];
+                req.query.code = "code";
+                return run_callback(login, req);
+            }).then((token_response) => {
+                token_response.should.have.property("access_token");
+            });
+        });
+
+        it("should fail with StateMismatchError when callback does not have binding cookie.", function(){
+            const login = create_login({state_binding: true});
+            let reasons = [];
+            login.on("state_mismatch", (event) => reasons.push(event.reason));
+            return start_auth(login).then((req) => {
+                req.headers.cookie = `line_login_binding=${"b".repeat(64)}`;
+                req.query.code = "code";
+                return run_callback(login, req).then((error) => {
+                    error.should.be.an.instanceOf(line_login.StateMismatchError);
+                    reasons.should.deep.equal(["binding_mismatch"]);
+                    delete req.headers.cookie;
+                    return run_callback(login, req);
+                });
+            }).then((error) => {
+                error.should.be.an.instanceOf(line_login.StateReusedError);
+            });
+        });
+    });
+
+    describe("SessionStore", function(){
+        it("should prune expired login attempts when new one is saved.", function(){
+            const store = new SessionStore({ttl: 60});
+            let req = {session: {}};
+            return store.set(req, {}, "old", {issued_at: Date.now() - 61 * 1000}).then(() => {
+                return store.set(req, {}, "new", {issued_at: Date.now()});
+            }).then(() => {
+                req.session.line_login.should.not.have.property("old");
+                req.session.line_login.should.have.property("new");
+            });
+        });
+    });
+});
@@ -0,0 +1,189 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login, run, authorize } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Minimal response which records headers like http.ServerResponse.
+function create_res(){
+    let headers = {};
+    return {
+        getHeader: (name) => headers[name.toLowerCase()],
+        setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+        redirect: function(url){ this.redirected_url = url; }
+    }
+}
+
+// Convert Set-Cookie headers of response into Cookie header of the next request.
+function to_cookie_header(res){
+    return (res.getHeader("Set-Cookie") || []).map((cookie) => cookie.split(";")[0]).join("; ");
+}
+
+describe("Test store", function(){
+    describe("Session store without session.", function(){
+        it("should reject with error.", function(){
+            let store = new line_login.SessionStore();
+            return store.set({}, create_res(), "state", {nonce: "nonce"}).should.be.rejectedWith("Session is not available. Mount express-session middleware or use other store.");
+        });
+    });
+
+    describe("Session store with concurrent login attempts.", function(){
+        it("should keep both login attempts.", function(){
+            let store = new line_login.SessionStore();
+            let req = {session: {}};
+            return store.set(req, create_res(), "state1", {nonce: "nonce1"}).then(() => {
+                return store.set(req, create_res(), "state2", {nonce: "nonce2"});
+            }).then(() => {
+                return store.get(req, "state1");
+            }).then((login_attempt) => {
+                login_attempt.should.have.property("nonce").and.equal("nonce1");
+                return store.delete(req, create_res(), "state1");
+            }).then(() => {
+                return store.get(req, "state2");
+            }).then((login_attempt) => {
+                login_attempt.should.have.property("nonce").and.equal("nonce2");
+                return store.get(req, "state1");
+            }).then((login_attempt) => {
+                should.not.exist(login_attempt);
+            });
+        });
+    });
+
+    describe("Memory store with expired login attempt.", function(){
+        it("should return undefined.", function(){
+            let store = new line_login.MemoryStore({ttl: 0.01});
+            return store.set({}, create_res(), "state", {nonce: "nonce"}).then(() => {
+                return new Promise((resolve) => setTimeout(resolve, 20));
+            }).then(() => {
+                return store.get({}, "state");
+            }).then((login_attempt) => {
+                should.not.exist(login_attempt);
+            });
+        });
+    });
+
+    describe("Cookie store with valid cookie.", function(){
+        it("should return login attempt.", function(){
+            let store = new line_login.CookieStore({secret: "secret"});
+            let res = create_res();
+            return store.set({}, res, "state", {nonce: "nonce"}).then(() => {
+                res.getHeader("Set-Cookie")[0].should.include("HttpOnly; SameSite=Lax; Secure");
+                return store.get({headers: {cookie: to_cookie_header(res)}}, "state");
+            }).then((login_attempt) => {
+                login_attempt.should.have.property("nonce").and.equal("nonce");
+            });
+        });
+    });
+
+    describe("Cookie store with tampered cookie.", function(){
+        it("should return undefined.", function(){
+            let store = new line_login.CookieStore({secret: "secret"});
+            let res = create_res();
+            return store.set({}, res, "state", {nonce: "nonce"}).then(() => {
+                let tampered = to_cookie_header(res).replace(/=([^.]+)\./, (match, payload) => {
+                    return "=" + Buffer.from(JSON.stringify({key: "state", value: {nonce: "tampered"}, expires_at: Date.now() + 10000})).toString("base64") + ".";
+                });
+                return store.get({headers: {cookie: tampered}}, "state");
+            }).then((login_attempt) => {
+                should.not.exist(login_attempt);
+            });
+        });
+    });
+
+    describe("Cookie store with cookie of other login attempt.", function(){
+        it("should return undefined.", function(){
+            let store = new line_login.CookieStore({secret: "secret"});
+            let res = create_res();
+            return store.set({}, res, "state1", {nonce: "nonce"}).then(() => {
+                let cookie = to_cookie_header(res).replace("line_login_state1=", "line_login_state2=");
+                return store.get({headers: {cookie: cookie}}, "state2");
+            }).then((login_attempt) => {
+                should.not.exist(login_attempt);
+            });
+        });
+    });
+
+    describe("Login flow with cookie store.", function(){
+        it("should save login attempt in cookie and reject unknown state.", function(){
+            let login = new line_login({
+                channel_id: "1234567890",
+                channel_secret: "channel_secret",
+                callback_url: "https://example.com/callback",
+                store: new line_login.CookieStore({secret: "secret"})
+            });
+            let res = create_res();
+            return login.auth()({}, res, () => {}).then(() => {
+                res.redirected_url.should.include("&state=");
+                return new Promise((resolve, reject) => {
+                    let req = {
+                        headers: {cookie: to_cookie_header(res)},
+                        query: {code: "code", state: "unknown_state"}
+                    }
+                    login.callback(() => {
+                        reject(new Error("Success callback should not be called."));
+                    }, (req, res, next, error) => {
+                        resolve(error);
+                    })(req, create_res(), () => {});
+                });
+            }).then((error) => {
+                error.should.have.property("message").and.equal("Authorization failed. State does not match.");
+            });
+        });
+    });
+
+    describe("Login flow with cookie store replayed with the original cookie.", function(){
+        let mock;
+
+        before(function(){
+            return start_mock().then((started) => {
+                mock = started;
+            });
+        });
+
+        after(function(){
+            return mock.close();
+        });
+
+        // Run auth() and authorization and resolve with callback request which has cookie of the login attempt.
+        function start_login(login){
+            let res = create_res();
+            return run(login.auth(), {query: {}, headers: {}}, res).then((url) => {
+                return authorize(url);
+            }).then((query) => {
+                return {query: query, headers: {cookie: to_cookie_header(res)}};
+            });
+        }
+
+        it("should reject with StateReusedError.", function(){
+            let login = create_login(mock, {store: new line_login.CookieStore({secret: "secret"})});
+            let req;
+            return start_login(login).then((callback_req) => {
+                req = callback_req;
+                return login.handle_callback(req, create_res());
+            }).then((result) => {
+                result.token_response.should.have.property("access_token");
+                return login.handle_callback(req, create_res()).should.be.rejectedWith(line_login.StateReusedError);
+            });
+        });
+
+        it("should reject with StateReusedError in other process sharing consumed_store.", function(){
+            const consumed_store = new line_login.MemoryStore();
+            let login = create_login(mock, {store: new line_login.CookieStore({secret: "secret", consumed_store: consumed_store})});
+            let other_login = create_login(mock, {store: new line_login.CookieStore({secret: "secret", consumed_store: consumed_store})});
+            let req;
+            return start_login(login).then((callback_req) => {
+                req = callback_req;
+                return login.handle_callback(req, create_res());
+            }).then(() => {
+                return other_login.handle_callback(req, create_res()).should.be.rejectedWith(line_login.StateReusedError);
+            });
+        });
+    });
+});
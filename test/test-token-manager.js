@@ -0,0 +1,117 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Create LineLogin whose API methods are replaced to count calls.
+function create_login(){
+    let login = new line_login({
+        channel_id: "1234567890",
+        channel_secret: "channel_secret",
+        callback_url: "https://example.com/callback"
+    });
+    login.refresh_count = 0;
+    login.refresh_access_token = (refresh_token) => {
+        login.refresh_count++;
+        return new Promise((resolve) => setTimeout(resolve, 10)).then(() => ({
+            access_token: `access_token_${login.refresh_count}`,
+            refresh_token: `refresh_token_${login.refresh_count}`,
+            expires_in: 2592000
+        }));
+    }
+    login.get_user_profile = (access_token) => {
+        if (access_token === "revoked_access_token"){
+            return Promise.reject(new line_login.InvalidTokenError("Unauthorized", {status_code: 401}));
+        }
+        return Promise.resolve({userId: "U1234", access_token: access_token});
+    }
+    return login;
+}
+
+describe("Test token manager", function(){
+    describe("Get access token which is not expiring.", function(){
+        it("should return access token without refresh.", function(){
+            let login = create_login();
+            let token_manager = login.create_token_manager({access_token: "access_token", refresh_token: "refresh_token", expires_in: 2592000});
+            return token_manager.get_access_token().then((access_token) => {
+                access_token.should.equal("access_token");
+                login.refresh_count.should.equal(0);
+            });
+        });
+    });
+
+    describe("Get access token which is expiring concurrently.", function(){
+        it("should refresh only once.", function(){
+            let login = create_login();
+            let token_manager = login.create_token_manager({access_token: "access_token", refresh_token: "refresh_token", expires_in: 60});
+            return Promise.all([
+                token_manager.get_access_token(),
+                token_manager.get_access_token(),
+                token_manager.get_user_profile()
+            ]).then((responses) => {
+                responses[0].should.equal("access_token_1");
+                responses[1].should.equal("access_token_1");
+                responses[2].should.have.property("access_token").and.equal("access_token_1");
+                login.refresh_count.should.equal(1);
+            });
+        });
+    });
+
+    describe("Refresh access token with store.", function(){
+        it("should persist rotated refresh token and emit refreshed event.", function(){
+            let login = create_login();
+            let saved = {};
+            let store = {
+                get: (key) => Promise.resolve(saved[key]),
+                set: (key, token_set) => {
+                    saved[key] = token_set;
+                    return Promise.resolve();
+                }
+            }
+            let token_manager = login.create_token_manager({access_token: "access_token", refresh_token: "refresh_token", expires_in: 0}, {store: store, key: "U1234"});
+            let emitted;
+            token_manager.on("refreshed", (token_set) => { emitted = token_set; });
+            return token_manager.get_access_token().then(() => {
+                saved.U1234.should.have.property("refresh_token").and.equal("refresh_token_1");
+                emitted.should.have.property("access_token").and.equal("access_token_1");
+                return line_login.TokenManager.load(login, {store: store, key: "U1234"});
+            }).then((loaded) => {
+                loaded.is_expiring().should.equal(false);
+                return loaded.get_access_token();
+            }).then((access_token) => {
+                access_token.should.equal("access_token_1");
+            });
+        });
+    });
+
+    describe("Refresh access token with invalid refresh token.", function(){
+        it("should emit refresh_failed event and reject.", function(){
+            let login = create_login();
+            login.refresh_access_token = () => Promise.reject(new line_login.InvalidGrantError("Bad Request", {status_code: 400}));
+            let token_manager = login.create_token_manager({access_token: "access_token", refresh_token: "refresh_token", expires_in: 0});
+            let emitted;
+            token_manager.on("refresh_failed", (error) => { emitted = error; });
+            return token_manager.get_access_token().should.be.rejectedWith(line_login.InvalidGrantError).then(() => {
+                emitted.should.be.an.instanceOf(line_login.InvalidGrantError);
+            });
+        });
+    });
+
+    describe("Get profile with access token revoked before expiry.", function(){
+        it("should refresh access token and retry.", function(){
+            let login = create_login();
+            let token_manager = login.create_token_manager({access_token: "revoked_access_token", refresh_token: "refresh_token", expires_in: 2592000});
+            return token_manager.get_user_profile().then((profile) => {
+                profile.should.have.property("access_token").and.equal("access_token_1");
+                login.refresh_count.should.equal(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+const { start_mock, create_login, count_requests, login_flow } = require("./helper/flow");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+const claims = {
+    iss: "https://access.line.me",
+    sub: "U1234",
+    aud: "1234567890",
+    iat: 1600000000,
+    exp: 1600003600,
+    amr: ["pwd"],
+    name: "Taro (id token)",
+    picture: "https://example.com/id-token.png",
+    email: "taro@example.com"
+}
+
+const line_profile = {
+    userId: "U1234",
+    displayName: "Taro",
+    pictureUrl: "https://example.com/profile.png",
+    statusMessage: "Hello"
+}
+
+const get_profile = "GET /v2/profile";
+
+describe("Test user", function(){
+    let mock;
+
+    before(function(){
+        return start_mock().then((started) => {
+            mock = started;
+        });
+    });
+
+    after(function(){
+        return mock.close();
+    });
+
+    describe("User.from", function(){
+        it("should merge claims and profile giving precedence to profile.", function(){
+            let user = line_login.User.from(claims, line_profile);
+            user.user_id.should.equal("U1234");
+            user.display_name.should.equal("Taro");
+            user.picture_url.should.equal("https://example.com/profile.png");
+            user.status_message.should.equal("Hello");
+            user.email.should.equal("taro@example.com");
+            user.amr.should.deep.equal(["pwd"]);
+            user.authenticated_at.should.equal(1600000000);
+        });
+
+        it("should make user from claims only.", function(){
+            let user = line_login.User.from(claims);
+            user.display_name.should.equal("Taro (id token)");
+            user.picture_url.should.equal("https://example.com/id-token.png");
+            should.not.exist(user.status_message);
+        });
+
+        it("should throw error if user id is not available.", function(){
+            (() => line_login.User.from({}, null)).should.throw("Required parameter user_id is missing.");
+        });
+    });
+
+    describe("Serialize", function(){
+        it("should restore the same user from serialized object and JSON.", function(){
+            let user = line_login.User.from(claims, line_profile);
+            let serialized = user.serialize();
+            serialized.should.not.be.an.instanceof(line_login.User);
+            line_login.User.deserialize(serialized).should.deep.equal(user);
+            line_login.User.deserialize(JSON.stringify(user)).should.deep.equal(user);
+        });
+
+        it("should omit undefined properties.", function(){
+            line_login.User.from({sub: "U1234"}).serialize().should.deep.equal({user_id: "U1234"});
+        });
+    });
+
+    describe("get_user()", function(){
+        // Token response issued by mock server with decoded id token.
+        function issue_tokens(scope){
+            return Object.assign(mock.issue_tokens("U1234", {scope: scope}), {id_token: claims});
+        }
+
+        it("should retrieve profile if profile scope is granted.", function(){
+            let login = create_login(mock);
+            return login.get_user(issue_tokens("profile openid")).then((user) => {
+                count_requests(login, get_profile).should.equal(1);
+                user.status_message.should.equal("Hello");
+                user.picture_url.should.equal("https://example.com/taro.png");
+            });
+        });
+
+        it("should not retrieve profile if profile scope is not granted.", function(){
+            let login = create_login(mock);
+            return login.get_user(issue_tokens("openid email")).then((user) => {
+                count_requests(login, get_profile).should.equal(0);
+                user.display_name.should.equal("Taro (id token)");
+            });
+        });
+
+        it("should not retrieve profile if fetch_profile is false.", function(){
+            let login = create_login(mock, {fetch_profile: false});
+            return login.get_user(issue_tokens("profile openid")).then((user) => {
+                count_requests(login, get_profile).should.equal(0);
+            });
+        });
+    });
+
+    describe("callback()", function(){
+        it("should pass user to success callback if build_user is true.", function(){
+            let login = create_login(mock, {build_user: true});
+            return login_flow(login).then((r) => {
+                r.result.user.should.be.an.instanceof(line_login.User);
+                r.result.user.user_id.should.equal("U1234");
+                r.result.user.display_name.should.equal("Taro");
+                r.result.user.status_message.should.equal("Hello");
+            });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+require("dotenv").config();
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const debug = require("debug")("bot-express:test");
+const line_login = require("../index.js");
+
+chai.use(chaiAsPromised);
+let should = chai.should();
+
+// Fake transport which records the request and responds the response set by respond().
+let sent;
+let fake_response;
+const transport = {
+    request: (options) => {
+        sent = options;
+        return Promise.resolve(fake_response);
+    }
+}
+
+function respond(status_code, body){
+    fake_response = {
+        statusCode: status_code,
+        statusMessage: (status_code == 200) ? "OK" : "Bad Request",
+        headers: {},
+        body: JSON.stringify(body)
+    }
+}
+
+let login = new line_login({
+    channel_id: "1234567890",
+    channel_secret: "channel_secret",
+    callback_url: "https://example.com/callback",
+    transport: transport
+});
+
+describe("Test verify id token", function(){
+
+    describe("Verify valid id token.", function(){
+        it("should return decoded claims.", function(){
+            respond(200, {iss: "https://access.line.me", sub: "U1234", aud: "1234567890", nonce: "nonce"});
+            return login.verify_id_token("id_token", {nonce: "nonce", user_id: "U1234"}).then((claims) => {
+                claims.should.have.property("sub").and.equal("U1234");
+                sent.method.should.equal("POST");
+                sent.url.should.equal("https://api.line.me/oauth2/v2.1/verify");
+                sent.form.should.deep.equal({id_token: "id_token", client_id: "1234567890", nonce: "nonce", user_id: "U1234"});
+            });
+        });
+    });
+
+    describe("Verify expired id token.", function(){
+        it("should reject with IdTokenExpiredError.", function(){
+            respond(400, {error: "invalid_request", error_description: "IdToken expired."});
+            return login.verify_id_token("id_token").should.be.rejectedWith(line_login.IdTokenExpiredError).and.eventually.have.property("error_description").and.equal("IdToken expired.");
+        });
+    });
+
+    describe("Verify id token of other channel.", function(){
+        it("should reject with IdTokenAudienceError.", function(){
+            respond(400, {error: "invalid_request", error_description: "Invalid IdToken Audience."});
+            return login.verify_id_token("id_token").should.be.rejectedWith(line_login.IdTokenAudienceError);
+        });
+    });
+
+    describe("Verify id token with wrong nonce.", function(){
+        it("should reject with IdTokenNonceError.", function(){
+            respond(400, {error: "invalid_request", error_description: "Invalid IdToken Nonce."});
+            return login.verify_id_token("id_token", {nonce: "nonce"}).should.be.rejectedWith(line_login.IdTokenNonceError);
+        });
+    });
+
+    describe("Verify malformed id token.", function(){
+        it("should reject with IdTokenMalformedError.", function(){
+            respond(400, {error: "invalid_request", error_description: "Invalid IdToken."});
+            return login.verify_id_token("malformed").should.be.rejectedWith(line_login.IdTokenMalformedError);
+        });
+    });
+
+    describe("Verify id token with wrong user id.", function(){
+        it("should reject with IdTokenVerificationError.", function(){
+            respond(400, {error: "invalid_request", error_description: "Invalid IdToken Subject Identifier."});
+            return login.verify_id_token("id_token", {user_id: "U5678"}).should.be.rejectedWith(line_login.IdTokenVerificationError, "Verification of id token failed. Invalid IdToken Subject Identifier.");
+        });
+    });
+});